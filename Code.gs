@@ -3,8 +3,25 @@
  *
  * SETUP INSTRUCTIONS:
  * 1. Create a new Google Sheet with two sheets: "users" and "sessions"
- * 2. In "users" sheet, add headers in row 1: email, username, password_hash, salt, created_at, verified, verify_token, reset_token, reset_token_expires, updated_at
- * 3. In "sessions" sheet, add headers in row 1: token, user_email, created_at, expires_at
+ * 2. In "users" sheet, add headers in row 1: email, username, password_hash, salt, created_at, verified, verify_token, reset_token, reset_token_expires, updated_at, totp_secret, totp_enabled, recovery_codes, verify_token_expires, pending_email, email_change_token, email_change_expires, user_id, deletion_scheduled_at, display_name, language, avatar_url, role, disabled
+ *    (verify_token, reset_token and email_change_token hold SHA-256 hashes, never the emailed token)
+ *    (role is "user" or "admin"; promote the first admin by editing the cell by hand)
+ * 3. In "sessions" sheet, add headers in row 1: token, user_email, created_at, expires_at, last_seen_at, user_agent, id
+ *    (token holds the SHA-256 hash of the session token returned to the client)
+ *    (upgrading: sessions and reset links created before tokens were hashed keep working, their plaintext
+ *    value is accepted once and replaced by its hash; verification links that old have no expiry and
+ *    are answered as expired, so those users request a new one from the login page)
+ *    In "chat_history" sheet, add headers in row 1: id, session_id, user_id, message_type, content, created_at, workspace_id, status, latency_ms, reply_to
+ *    (status, latency_ms and reply_to are filled by chatProxy: "ok" or "error", how long n8n took, and the question an AI row answers)
+ *    In "conversations" sheet, add headers in row 1: session_id, user_id, title, pinned, archived, deleted_at, updated_at, workspace_id
+ *    (workspace_id is empty for personal conversations; user_id is who first changed a workspace conversation)
+ *    In "workspaces" sheet, add headers in row 1: id, name, owner_id, created_at
+ *    In "memberships" sheet, add headers in row 1: id, workspace_id, user_id, email, role, status, invite_token, invited_by, created_at, updated_at
+ *    (invite_token holds a SHA-256 hash; user_id is empty until the invitation is accepted)
+ *    In "message_feedback" sheet, add headers in row 1: id, message_id, session_id, user_id, rating, comment, created_at, updated_at, workspace_id
+ *    (one row per user and AI message; rating is "up" or "down")
+ *    (user_id is the immutable id generated at signup; sheets created before it existed
+ *    must be upgraded once by running migrateUserIds() from the Apps Script editor)
  * 4. Copy this code to Apps Script (Extensions > Apps Script)
  * 5. Update SPREADSHEET_ID with your Google Sheet ID
  * 6. Update APP_URL with your Netlify domain
@@ -12,20 +29,124 @@
  *    - Execute as: Me
  *    - Who has access: Anyone
  * 8. Copy the deployment URL to your config.js APPS_SCRIPT_URL
+ * 9. Chat webhook authentication: add a script property N8N_SHARED_SECRET (Project Settings > Script properties)
+ *    with a long random value, give the same value to n8n, and verify every webhook request there
+ *    (see the CHAT ASSERTIONS section below for the n8n snippet)
  */
 
 // ============== CONFIGURATION ==============
 const SPREADSHEET_ID = '1BM1AkIUGDWiHfTXHIV0uVgxdqDWZYJIvWr2QRgdmmcI';
 const APP_URL = 'https://tranquil-taiyaki-cf0922.netlify.app';
+const N8N_WEBHOOK_URL = 'https://n8n-xwpt.onrender.com/webhook/dda36856-64ca-41d6-81b9-d335e8e807a9/chat';
 
 // Sheet names
 const USERS_SHEET = 'users';
 const SESSIONS_SHEET = 'sessions';
 const CHAT_HISTORY_SHEET = 'chat_history';
+const CONVERSATIONS_SHEET = 'conversations';
+const WORKSPACES_SHEET = 'workspaces';
+const MEMBERSHIPS_SHEET = 'memberships';
+const MESSAGE_FEEDBACK_SHEET = 'message_feedback';
+
+// Chat history pagination
+const CONVERSATIONS_PAGE_SIZE = 20;
+const CONVERSATIONS_MAX_PAGE_SIZE = 100;
+
+// Chat history search
+const SEARCH_MAX_RESULTS = 50;
+const SEARCH_SNIPPET_RADIUS = 60;
+
+// Chat messages saved with a client-generated id (UUID) are deduplicated by it
+const CLIENT_MESSAGE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Legacy "{email}_" session_id prefix (domains never contain "_")
+const LEGACY_EMAIL_SESSION_PREFIX = /^[^\s@]+@[^\s@_]+_/;
+
+// Chat assertions (signed proof of who is calling the n8n webhook)
+const N8N_SECRET_PROPERTY = 'N8N_SHARED_SECRET';
+const CHAT_ASSERTION_TTL_SECONDS = 120;
+
+// Chat relay (chatProxy)
+// A message being answered is marked in CacheService so a retry does not ask n8n twice
+const CHAT_PROXY_IN_FLIGHT_SECONDS = 300;
+
+// Message feedback
+const FEEDBACK_RATINGS = ['up', 'down'];
+const FEEDBACK_COMMENT_MAX_LENGTH = 1000;
+const SATISFACTION_WEEKS = 8;
+
+// Password hashing (PBKDF2-HMAC-SHA256)
+// Raising the iteration count re-hashes users on their next login
+const PASSWORD_HASH_ALGORITHM = 'pbkdf2_sha256';
+const PASSWORD_HASH_ITERATIONS = 10000;
+
+// Login rate limiting (attempt counters live in CacheService)
+// The per-email limits are the enforced ones. Apps Script does not expose the caller's IP, so the
+// per-client limits are keyed on a clientId the browser sends: best-effort only, since a script can
+// rotate it at will. They slow down a single careless client, not a determined attacker
+const LOGIN_MAX_ATTEMPTS_PER_EMAIL = 5;
+const LOGIN_MAX_ATTEMPTS_PER_CLIENT = 20;
+const LOGIN_ATTEMPT_WINDOW_MINUTES = 15;
+const LOGIN_LOCKOUT_MINUTES = 15;
+const LOGIN_DELAY_STEP_MS = 500;
+const LOGIN_MAX_DELAY_MS = 4000;
+const RESET_MAX_REQUESTS_PER_EMAIL = 3;
+const RESET_MAX_REQUESTS_PER_CLIENT = 10;
+const RESET_WINDOW_MINUTES = 60;
+const MAGIC_LINK_MAX_REQUESTS_PER_EMAIL = 3;
+const MAGIC_LINK_MAX_REQUESTS_PER_CLIENT = 10;
+const MAGIC_LINK_WINDOW_MINUTES = 60;
+const VERIFY_RESEND_MAX_REQUESTS_PER_EMAIL = 3;
+const VERIFY_RESEND_MAX_REQUESTS_PER_CLIENT = 10;
+const VERIFY_RESEND_WINDOW_MINUTES = 60;
+
+// Two-factor authentication (TOTP, RFC 6238)
+const TOTP_ISSUER = 'Family6';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ALLOWED_DRIFT_STEPS = 1;
+const TWO_FACTOR_CHALLENGE_MINUTES = 5;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const RECOVERY_CODES_COUNT = 10;
 
 // Token settings
 const SESSION_DURATION_DAYS = 7;
+const SESSION_MAX_LIFETIME_DAYS = 30;
+const SESSION_REFRESH_GRACE_HOURS = 24;
+const SESSION_LAST_SEEN_INTERVAL_MINUTES = 5;
+const VERIFY_TOKEN_DURATION_HOURS = 48;
 const RESET_TOKEN_DURATION_HOURS = 24;
+const EMAIL_CHANGE_DURATION_HOURS = 24;
+
+// Stored token hashes are SHA-256 hex; any other value in a token column predates hashing
+const TOKEN_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// Profile
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,30}$/;
+const DISPLAY_NAME_MAX_LENGTH = 60;
+const SUPPORTED_LANGUAGES = ['es', 'en'];
+const DEFAULT_LANGUAGE = 'es';
+// Avatars are stored inline as data URLs, so they must fit in one cell (50000 chars)
+const AVATAR_MAX_LENGTH = 45000;
+const AVATAR_DATA_URL_PATTERN = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+\/=]+$/;
+
+// Roles
+const ROLES = {
+  USER: 'user',
+  ADMIN: 'admin'
+};
+
+// Workspaces
+// Owners manage everything, admins can invite and remove members, members only share history
+const WORKSPACE_ROLES = ['owner', 'admin', 'member'];
+const WORKSPACE_NAME_MAX_LENGTH = 60;
+const INVITATION_DURATION_DAYS = 7;
+
+// Account deletion
+// With a grace period the account is only scheduled; purgeDeletedAccounts() (time-driven trigger) removes it
+// Logging in again during the grace period cancels the deletion. Set to 0 to delete immediately
+const ACCOUNT_DELETION_GRACE_DAYS = 7;
+const MAGIC_LINK_DURATION_MINUTES = 15;
 
 // ============== MAIN HANDLERS ==============
 
@@ -49,12 +170,36 @@ function doPost(e) {
       case 'validateSession':
         result = handleValidateSession(data);
         break;
+      case 'verifyTwoFactor':
+        result = handleVerifyTwoFactor(data);
+        break;
+      case 'setupTwoFactor':
+        result = handleSetupTwoFactor(data);
+        break;
+      case 'enableTwoFactor':
+        result = handleEnableTwoFactor(data);
+        break;
+      case 'disableTwoFactor':
+        result = handleDisableTwoFactor(data);
+        break;
+      case 'refreshSession':
+        result = handleRefreshSession(data);
+        break;
       case 'logout':
         result = handleLogout(data);
         break;
       case 'requestReset':
         result = handleRequestReset(data);
         break;
+      case 'resendVerification':
+        result = handleResendVerification(data);
+        break;
+      case 'requestMagicLink':
+        result = handleRequestMagicLink(data);
+        break;
+      case 'exchangeMagicLink':
+        result = handleExchangeMagicLink(data);
+        break;
       case 'resetPassword':
         result = handleResetPassword(data);
         break;
@@ -64,18 +209,100 @@ function doPost(e) {
       case 'updateProfile':
         result = handleUpdateProfile(data);
         break;
+      case 'requestEmailChange':
+        result = handleRequestEmailChange(data);
+        break;
+      case 'deleteAccount':
+        result = handleDeleteAccount(data);
+        break;
+      case 'exportUserData':
+        result = handleExportUserData(data);
+        break;
       case 'getUser':
         result = handleGetUser(data);
         break;
+      case 'listSessions':
+        result = handleListSessions(data);
+        break;
+      case 'revokeSession':
+        result = handleRevokeSession(data);
+        break;
+      case 'revokeAllSessions':
+        result = handleRevokeAllSessions(data);
+        break;
       case 'saveChatMessage':
         result = handleSaveChatMessage(data);
         break;
+      case 'chatProxy':
+        result = handleChatProxy(data);
+        break;
+      case 'issueChatAssertion':
+        result = handleIssueChatAssertion(data);
+        break;
       case 'getChatHistory':
         result = handleGetChatHistory(data);
         break;
+      case 'listConversations':
+        result = handleListConversations(data);
+        break;
+      case 'getConversation':
+        result = handleGetConversation(data);
+        break;
+      case 'searchChatHistory':
+        result = handleSearchChatHistory(data);
+        break;
+      case 'renameConversation':
+        result = handleRenameConversation(data);
+        break;
+      case 'pinConversation':
+        result = handlePinConversation(data);
+        break;
+      case 'archiveConversation':
+        result = handleArchiveConversation(data);
+        break;
+      case 'deleteConversation':
+        result = handleDeleteConversation(data);
+        break;
       case 'getChatStats':
         result = handleGetChatStats(data);
         break;
+      case 'saveMessageFeedback':
+        result = handleSaveMessageFeedback(data);
+        break;
+      case 'createWorkspace':
+        result = handleCreateWorkspace(data);
+        break;
+      case 'listWorkspaces':
+        result = handleListWorkspaces(data);
+        break;
+      case 'listWorkspaceMembers':
+        result = handleListWorkspaceMembers(data);
+        break;
+      case 'inviteWorkspaceMember':
+        result = handleInviteWorkspaceMember(data);
+        break;
+      case 'respondWorkspaceInvitation':
+        result = handleRespondWorkspaceInvitation(data);
+        break;
+      case 'updateWorkspaceMemberRole':
+        result = handleUpdateWorkspaceMemberRole(data);
+        break;
+      case 'removeWorkspaceMember':
+        result = handleRemoveWorkspaceMember(data);
+        break;
+      // Privileged actions: the role check runs before the handler
+      case 'adminListUsers':
+        result = withRole(ROLES.ADMIN, data, handleAdminListUsers);
+        break;
+      case 'adminVerifyUser':
+        result = withRole(ROLES.ADMIN, data, handleAdminVerifyUser);
+        break;
+      case 'adminSetUserDisabled':
+        result = withRole(ROLES.ADMIN, data, handleAdminSetUserDisabled);
+        break;
+      case 'adminDeleteUser':
+        result = withRole(ROLES.ADMIN, data, handleAdminDeleteUser);
+        break;
       default:
         result = { error: 'Unknown action' };
     }
@@ -100,6 +327,10 @@ function doGet(e) {
     return handleConfirmEmail(token);
   }
 
+  if (action === 'confirmEmailChange' && token) {
+    return handleConfirmEmailChange(token);
+  }
+
   return HtmlService.createHtmlOutput('Invalid request');
 }
 
@@ -121,26 +352,52 @@ function handleSignup(data) {
     return { error: 'This email is already registered' };
   }
 
+  // Usernames are optional, but unique when given (same rules as handleUpdateProfile)
+  const cleanUsername = String(username || '').trim();
+  if (cleanUsername) {
+    if (!USERNAME_PATTERN.test(cleanUsername)) {
+      return { error: 'Username must be 3-30 letters, numbers, dots, dashes or underscores', code: 'INVALID_USERNAME' };
+    }
+    if (isUsernameTaken(cleanUsername, email)) {
+      return { error: 'This username is already taken', code: 'USERNAME_TAKEN' };
+    }
+  }
+
   // Generate salt and hash password
   const salt = generateToken(32);
   const passwordHash = hashPassword(password, salt);
 
   // Generate verification token
   const verifyToken = generateToken(32);
+  const verifyExpires = new Date(Date.now() + VERIFY_TOKEN_DURATION_HOURS * 60 * 60 * 1000);
 
   // Create user
   const now = new Date().toISOString();
   const userData = [
     email,           // A: email
-    username || '',  // B: username
+    cleanUsername,   // B: username
     passwordHash,    // C: password_hash
     salt,            // D: salt
     now,             // E: created_at
     false,           // F: verified
-    verifyToken,     // G: verify_token
+    hashToken(verifyToken), // G: verify_token (hashed)
     '',              // H: reset_token
     '',              // I: reset_token_expires
-    now              // J: updated_at
+    now,             // J: updated_at
+    '',              // K: totp_secret
+    false,           // L: totp_enabled
+    '',              // M: recovery_codes (hashed)
+    verifyExpires.toISOString(), // N: verify_token_expires
+    '',              // O: pending_email
+    '',              // P: email_change_token (hashed)
+    '',              // Q: email_change_expires
+    generateUserId(), // R: user_id (never changes)
+    '',              // S: deletion_scheduled_at
+    '',              // T: display_name
+    DEFAULT_LANGUAGE, // U: language
+    '',              // V: avatar_url
+    ROLES.USER,      // W: role
+    false            // X: disabled
   ];
 
   const sheet = getSheet(USERS_SHEET);
@@ -159,58 +416,73 @@ function handleSignup(data) {
  * Handle user login
  */
 function handleLogin(data) {
-  const { email, password } = data;
+  const { email, password, clientId, userAgent } = data;
 
   if (!email || !password) {
     return { error: 'Email and password are required' };
   }
 
+  const limits = [
+    { key: rateLimitKey('login_email', email), max: LOGIN_MAX_ATTEMPTS_PER_EMAIL },
+    { key: rateLimitKey('login_client', clientId), max: LOGIN_MAX_ATTEMPTS_PER_CLIENT }
+  ].filter(limit => limit.key);
+
+  // Reject while locked out
+  const lockedFor = getLockoutRemaining(limits);
+  if (lockedFor > 0) {
+    return lockoutError(lockedFor);
+  }
+
+  // Progressive delay based on previous failures for this email
+  const previousFailures = getAttemptState(limits[0].key).count;
+  if (previousFailures > 0) {
+    Utilities.sleep(Math.min(previousFailures * LOGIN_DELAY_STEP_MS, LOGIN_MAX_DELAY_MS));
+  }
+
   const user = findUserByEmail(email);
   if (!user) {
-    return { error: 'Invalid login credentials' };
+    return failedLoginAttempt(limits);
   }
 
   // Check if email is verified
   if (!user.verified) {
-    return { error: 'Email not confirmed. Please check your inbox.' };
+    return { error: 'Email not confirmed. Please check your inbox.', code: 'EMAIL_NOT_CONFIRMED' };
   }
 
   // Verify password
-  const passwordHash = hashPassword(password, user.salt);
-  if (passwordHash !== user.password_hash) {
-    return { error: 'Invalid login credentials' };
+  if (!verifyPassword(password, user.salt, user.password_hash)) {
+    return failedLoginAttempt(limits);
   }
 
-  // Create session
-  const token = generateToken(64);
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + SESSION_DURATION_DAYS * 24 * 60 * 60 * 1000);
+  if (user.disabled === true) {
+    return { error: 'This account has been disabled', code: 'ACCOUNT_DISABLED' };
+  }
 
-  const sessionData = [
-    token,                 // A: token
-    email,                 // B: user_email
-    now.toISOString(),     // C: created_at
-    expiresAt.toISOString() // D: expires_at
-  ];
+  limits.forEach(limit => clearAttempts(limit.key));
 
-  const sheet = getSheet(SESSIONS_SHEET);
-  sheet.appendRow(sessionData);
+  // Transparently upgrade legacy or weaker hashes
+  if (passwordNeedsRehash(user.password_hash)) {
+    const newSalt = generateToken(32);
+    updateUserField(email, 'password_hash', hashPassword(password, newSalt));
+    updateUserField(email, 'salt', newSalt);
+    updateUserField(email, 'updated_at', new Date().toISOString());
+  }
 
-  return {
-    success: true,
-    token: token,
-    expiresAt: expiresAt.toISOString(),
-    user: {
-      email: user.email,
-      username: user.username,
-      id: user.email, // Using email as ID
-      created_at: user.created_at
-    }
-  };
+  // Second step required: hand out a short-lived challenge instead of a session
+  if (user.totp_enabled === true) {
+    return {
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: createTwoFactorChallenge(email, userAgent)
+    };
+  }
+
+  return completeSignIn(user, userAgent);
 }
 
 /**
  * Validate session token
+ * Active sessions slide: each validation pushes expires_at forward
  */
 function handleValidateSession(data) {
   const { token } = data;
@@ -224,9 +496,11 @@ function handleValidateSession(data) {
     return { error: 'Invalid session' };
   }
 
-  // Check if expired
+  // Check if expired (kept during the grace period so it can still be refreshed)
   if (new Date(session.expires_at) < new Date()) {
-    deleteSession(token);
+    if (!isSessionRefreshable(session)) {
+      deleteSession(token);
+    }
     return { error: 'Session expired' };
   }
 
@@ -235,14 +509,94 @@ function handleValidateSession(data) {
     return { error: 'User not found' };
   }
 
+  const expiresAt = slideSessionExpiry(session);
+  touchSession(session);
+
   return {
     valid: true,
-    user: {
-      email: user.email,
-      username: user.username,
-      id: user.email,
-      created_at: user.created_at
+    expiresAt: expiresAt,
+    user: toPublicUser(user)
+  };
+}
+
+/**
+ * Complete a two-factor login with a TOTP or recovery code
+ */
+function handleVerifyTwoFactor(data) {
+  const { challengeToken, code } = data;
+
+  if (!challengeToken || !code) {
+    return { error: 'Challenge and code are required' };
+  }
+
+  const cache = CacheService.getScriptCache();
+  const challengeKey = `2fa_challenge_${hashToken(challengeToken)}`;
+  const cached = cache.get(challengeKey);
+  if (!cached) {
+    return { error: 'Two-factor challenge expired. Please sign in again.', code: 'CHALLENGE_EXPIRED' };
+  }
+
+  const challenge = JSON.parse(cached);
+  const user = findUserByEmail(challenge.email);
+  if (!user || user.totp_enabled !== true) {
+    cache.remove(challengeKey);
+    return { error: 'Invalid two-factor challenge' };
+  }
+
+  if (!verifyTotp(user, code) && !consumeRecoveryCode(user, code)) {
+    challenge.attempts++;
+    if (challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+      cache.remove(challengeKey);
+      return { error: 'Too many invalid codes. Please sign in again.', code: 'CHALLENGE_EXPIRED' };
     }
+    cache.put(challengeKey, JSON.stringify(challenge), TWO_FACTOR_CHALLENGE_MINUTES * 60);
+    return { error: 'Invalid two-factor code', code: 'INVALID_CODE' };
+  }
+
+  cache.remove(challengeKey);
+
+  return completeSignIn(user, challenge.userAgent);
+}
+
+/**
+ * Refresh a session, rotating its token
+ * Works for sessions that expired less than SESSION_REFRESH_GRACE_HOURS ago
+ */
+function handleRefreshSession(data) {
+  const { token } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session) {
+    return { error: 'Invalid session' };
+  }
+
+  if (!isSessionRefreshable(session)) {
+    deleteSession(token);
+    return { error: 'Session expired' };
+  }
+
+  const user = findUserByEmail(session.user_email);
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  const newToken = generateToken(64);
+  const expiresAt = computeSessionExpiry(session);
+  const sheet = getSheet(SESSIONS_SHEET);
+
+  sheet.getRange(session.row, 1).setValue(hashToken(newToken));
+  sheet.getRange(session.row, 4).setValue(expiresAt);
+  sheet.getRange(session.row, 5).setValue(new Date().toISOString());
+
+  return {
+    success: true,
+    token: newToken,
+    expiresAt: expiresAt,
+    user: toPublicUser(user)
   };
 }
 
@@ -263,20 +617,37 @@ function handleLogout(data) {
  * Request password reset
  */
 function handleRequestReset(data) {
-  const { email } = data;
+  const { email, clientId } = data;
 
   if (!email) {
     return { error: 'Email is required' };
   }
 
+  // Throttle reset mails per email and per client
+  const limits = [
+    { key: rateLimitKey('reset_email', email), max: RESET_MAX_REQUESTS_PER_EMAIL },
+    { key: rateLimitKey('reset_client', clientId), max: RESET_MAX_REQUESTS_PER_CLIENT }
+  ].filter(limit => limit.key);
+
+  const lockedFor = getLockoutRemaining(limits);
+  if (lockedFor > 0) {
+    return {
+      error: 'Too many reset requests. Please try again later.',
+      code: 'RATE_LIMITED',
+      retryAfter: lockedFor
+    };
+  }
+
+  limits.forEach(limit => recordAttempt(limit.key, limit.max, RESET_WINDOW_MINUTES, RESET_WINDOW_MINUTES));
+
   // Always return success to not reveal if email exists
   const user = findUserByEmail(email);
   if (user) {
     const resetToken = generateToken(32);
     const expires = new Date(Date.now() + RESET_TOKEN_DURATION_HOURS * 60 * 60 * 1000);
 
-    // Update user with reset token
-    updateUserField(email, 'reset_token', resetToken);
+    // Update user with reset token (only the hash is stored)
+    updateUserField(email, 'reset_token', hashToken(resetToken));
     updateUserField(email, 'reset_token_expires', expires.toISOString());
 
     // Send reset email
@@ -289,6 +660,138 @@ function handleRequestReset(data) {
   };
 }
 
+/**
+ * Resend the verification email with a fresh token
+ */
+function handleResendVerification(data) {
+  const { email, clientId } = data;
+
+  if (!email) {
+    return { error: 'Email is required' };
+  }
+
+  // Throttle verification mails per email and per client
+  const limits = [
+    { key: rateLimitKey('verify_email', email), max: VERIFY_RESEND_MAX_REQUESTS_PER_EMAIL },
+    { key: rateLimitKey('verify_client', clientId), max: VERIFY_RESEND_MAX_REQUESTS_PER_CLIENT }
+  ].filter(limit => limit.key);
+
+  const lockedFor = getLockoutRemaining(limits);
+  if (lockedFor > 0) {
+    return {
+      error: 'Too many verification email requests. Please try again later.',
+      code: 'RATE_LIMITED',
+      retryAfter: lockedFor
+    };
+  }
+
+  limits.forEach(limit => recordAttempt(limit.key, limit.max, VERIFY_RESEND_WINDOW_MINUTES, VERIFY_RESEND_WINDOW_MINUTES));
+
+  // Always return success to not reveal if email exists or is already verified
+  const user = findUserByEmail(email);
+  if (user && !user.verified) {
+    const verifyToken = generateToken(32);
+    const expires = new Date(Date.now() + VERIFY_TOKEN_DURATION_HOURS * 60 * 60 * 1000);
+
+    // Replaces any previous token, so older links stop working
+    updateUserField(email, 'verify_token', hashToken(verifyToken));
+    updateUserField(email, 'verify_token_expires', expires.toISOString());
+
+    sendVerificationEmail(email, verifyToken);
+  }
+
+  return {
+    success: true,
+    message: 'If an unverified account exists with this email, a new verification link has been sent.'
+  };
+}
+
+/**
+ * Request a passwordless login link
+ * The single-use token lives in CacheService and expires after MAGIC_LINK_DURATION_MINUTES
+ */
+function handleRequestMagicLink(data) {
+  const { email, clientId } = data;
+
+  if (!email) {
+    return { error: 'Email is required' };
+  }
+
+  // Throttle login link mails per email and per client
+  const limits = [
+    { key: rateLimitKey('magic_email', email), max: MAGIC_LINK_MAX_REQUESTS_PER_EMAIL },
+    { key: rateLimitKey('magic_client', clientId), max: MAGIC_LINK_MAX_REQUESTS_PER_CLIENT }
+  ].filter(limit => limit.key);
+
+  const lockedFor = getLockoutRemaining(limits);
+  if (lockedFor > 0) {
+    return {
+      error: 'Too many login link requests. Please try again later.',
+      code: 'RATE_LIMITED',
+      retryAfter: lockedFor
+    };
+  }
+
+  limits.forEach(limit => recordAttempt(limit.key, limit.max, MAGIC_LINK_WINDOW_MINUTES, MAGIC_LINK_WINDOW_MINUTES));
+
+  // Always return success to not reveal if email exists
+  const user = findUserByEmail(email);
+  if (user && user.verified) {
+    const magicToken = generateToken(48);
+
+    CacheService.getScriptCache().put(
+      `magic_link_${hashToken(magicToken)}`,
+      user.email,
+      MAGIC_LINK_DURATION_MINUTES * 60
+    );
+
+    sendMagicLinkEmail(user.email, magicToken);
+  }
+
+  return {
+    success: true,
+    message: 'If an account exists with this email, a login link has been sent.'
+  };
+}
+
+/**
+ * Exchange a login link token for a session
+ * Accounts with 2FA still get a two-factor challenge
+ */
+function handleExchangeMagicLink(data) {
+  const { token, userAgent } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  const cache = CacheService.getScriptCache();
+  const cacheKey = `magic_link_${hashToken(token)}`;
+  const email = cache.get(cacheKey);
+
+  if (!email) {
+    return { error: 'Invalid or expired login link', code: 'INVALID_LINK' };
+  }
+
+  // Single use
+  cache.remove(cacheKey);
+
+  const user = findUserByEmail(email);
+  if (!user || !user.verified || user.disabled === true) {
+    return { error: 'Invalid or expired login link', code: 'INVALID_LINK' };
+  }
+
+  if (user.totp_enabled === true) {
+    return {
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: createTwoFactorChallenge(user.email, userAgent)
+    };
+  }
+
+  return completeSignIn(user, userAgent);
+}
+
 /**
  * Reset password with token
  */
@@ -359,9 +862,10 @@ function handleUpdatePassword(data) {
 
 /**
  * Update user profile
+ * Only the fields present in the request are changed
  */
 function handleUpdateProfile(data) {
-  const { token, username } = data;
+  const { token, username, displayName, language, avatar } = data;
 
   if (!token) {
     return { error: 'Token is required' };
@@ -372,8 +876,49 @@ function handleUpdateProfile(data) {
     return { error: 'Invalid or expired session' };
   }
 
-  if (username !== undefined) {
-    updateUserField(session.user_email, 'username', username);
+  // Validate everything before writing anything
+  const cleanUsername = username !== undefined ? String(username).trim() : undefined;
+  if (cleanUsername) {
+    if (!USERNAME_PATTERN.test(cleanUsername)) {
+      return { error: 'Username must be 3-30 letters, numbers, dots, dashes or underscores', code: 'INVALID_USERNAME' };
+    }
+    if (isUsernameTaken(cleanUsername, session.user_email)) {
+      return { error: 'This username is already taken', code: 'USERNAME_TAKEN' };
+    }
+  }
+
+  const cleanDisplayName = displayName !== undefined
+    ? String(displayName).trim().substring(0, DISPLAY_NAME_MAX_LENGTH)
+    : undefined;
+
+  if (language !== undefined && SUPPORTED_LANGUAGES.indexOf(language) === -1) {
+    return { error: 'Unsupported language', code: 'INVALID_LANGUAGE' };
+  }
+
+  // An empty string removes the avatar
+  if (avatar) {
+    if (avatar.length > AVATAR_MAX_LENGTH) {
+      return { error: 'Avatar image is too large', code: 'AVATAR_TOO_LARGE' };
+    }
+    if (!AVATAR_DATA_URL_PATTERN.test(avatar)) {
+      return { error: 'Avatar must be a PNG, JPEG or WebP image', code: 'INVALID_AVATAR' };
+    }
+  }
+
+  if (cleanUsername !== undefined) {
+    updateUserField(session.user_email, 'username', cleanUsername);
+  }
+
+  if (cleanDisplayName !== undefined) {
+    updateUserField(session.user_email, 'display_name', cleanDisplayName);
+  }
+
+  if (language !== undefined) {
+    updateUserField(session.user_email, 'language', language);
+  }
+
+  if (avatar !== undefined) {
+    updateUserField(session.user_email, 'avatar_url', avatar || '');
   }
 
   updateUserField(session.user_email, 'updated_at', new Date().toISOString());
@@ -382,12 +927,56 @@ function handleUpdateProfile(data) {
 
   return {
     success: true,
-    user: {
-      email: user.email,
-      username: user.username,
-      id: user.email,
-      created_at: user.created_at
-    }
+    user: toPublicUser(user)
+  };
+}
+
+/**
+ * Start an email change
+ * The new address must be confirmed before anything is migrated
+ */
+function handleRequestEmailChange(data) {
+  const { token, newEmail, password } = data;
+
+  if (!token || !newEmail || !password) {
+    return { error: 'Token, new email and password are required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const user = findUserByEmail(session.user_email);
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  // Require the current password before touching the login identity
+  if (!verifyPassword(password, user.salt, user.password_hash)) {
+    return { error: 'Invalid password', code: 'INVALID_PASSWORD' };
+  }
+
+  if (newEmail === user.email) {
+    return { error: 'The new email must be different from the current one' };
+  }
+
+  if (findUserByEmail(newEmail)) {
+    return { error: 'This email is already registered', code: 'EMAIL_TAKEN' };
+  }
+
+  const changeToken = generateToken(32);
+  const expires = new Date(Date.now() + EMAIL_CHANGE_DURATION_HOURS * 60 * 60 * 1000);
+
+  updateUserField(user.email, 'pending_email', newEmail);
+  updateUserField(user.email, 'email_change_token', hashToken(changeToken));
+  updateUserField(user.email, 'email_change_expires', expires.toISOString());
+
+  sendEmailChangeEmail(newEmail, changeToken);
+
+  return {
+    success: true,
+    message: 'A confirmation link has been sent to the new email address.'
   };
 }
 
@@ -412,74 +1001,120 @@ function handleGetUser(data) {
   }
 
   return {
-    user: {
-      email: user.email,
-      username: user.username,
-      id: user.email,
-      created_at: user.created_at
-    }
+    user: toPublicUser(user)
   };
 }
 
+// ============== TWO-FACTOR HANDLERS ==============
+
 /**
- * Handle email confirmation (GET request)
+ * Start 2FA enrollment: generate a secret and its otpauth URI
+ * The secret stays inactive until confirmed with enableTwoFactor
  */
-function handleConfirmEmail(token) {
-  const user = findUserByVerifyToken(token);
-
-  let redirectUrl;
-  let message;
+function handleSetupTwoFactor(data) {
+  const { token } = data;
 
-  if (!user) {
-    redirectUrl = `${APP_URL}/confirm.html?error=invalid_token`;
-    message = 'Token invalido o expirado.';
-  } else if (user.verified) {
-    redirectUrl = `${APP_URL}/confirm.html?error=already_verified`;
-    message = 'Esta cuenta ya fue verificada.';
-  } else {
-    // Mark as verified
-    updateUserField(user.email, 'verified', true);
-    updateUserField(user.email, 'verify_token', '');
-    updateUserField(user.email, 'updated_at', new Date().toISOString());
+  if (!token) {
+    return { error: 'Token is required' };
+  }
 
-    redirectUrl = `${APP_URL}/confirm.html?success=true`;
-    message = 'Cuenta verificada exitosamente!';
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
   }
 
-  // Use meta refresh and provide a clickable link as fallback
-  const html = `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <meta http-equiv="refresh" content="0;url=${redirectUrl}">
-  <title>Redirigiendo...</title>
-  <style>
-    body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background: #f5f5f5; }
-    .container { text-align: center; padding: 40px; background: white; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-    a { color: #6366F1; text-decoration: none; font-weight: bold; }
-    a:hover { text-decoration: underline; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <h2>${message}</h2>
-    <p>Redirigiendo...</p>
-    <p>Si no eres redirigido automaticamente, <a href="${redirectUrl}">haz clic aqui</a>.</p>
-  </div>
-</body>
-</html>`;
+  const user = findUserByEmail(session.user_email);
+  if (user.totp_enabled === true) {
+    return { error: 'Two-factor authentication is already enabled' };
+  }
 
-  return HtmlService.createHtmlOutput(html)
-    .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
+  const secret = generateTotpSecret();
+  updateUserField(user.email, 'totp_secret', secret);
+  updateUserField(user.email, 'updated_at', new Date().toISOString());
+
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+  const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+  return { success: true, secret: secret, otpauthUri: otpauthUri };
 }
 
-// ============== CHAT HISTORY HANDLERS ==============
+/**
+ * Confirm 2FA enrollment with a code and issue recovery codes
+ */
+function handleEnableTwoFactor(data) {
+  const { token, code } = data;
+
+  if (!token || !code) {
+    return { error: 'Token and code are required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const user = findUserByEmail(session.user_email);
+  if (!user.totp_secret) {
+    return { error: 'Two-factor setup has not been started' };
+  }
+
+  if (!verifyTotp(user, code)) {
+    return { error: 'Invalid two-factor code', code: 'INVALID_CODE' };
+  }
+
+  const recoveryCodes = [];
+  for (let i = 0; i < RECOVERY_CODES_COUNT; i++) {
+    const raw = generateToken(10).toUpperCase();
+    recoveryCodes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
+  }
+
+  updateUserField(user.email, 'totp_enabled', true);
+  updateUserField(user.email, 'recovery_codes', recoveryCodes.map(hashRecoveryCode).join(','));
+  updateUserField(user.email, 'updated_at', new Date().toISOString());
+
+  return { success: true, recoveryCodes: recoveryCodes };
+}
 
 /**
- * Save a chat message
+ * Disable 2FA (requires a current TOTP or recovery code)
  */
-function handleSaveChatMessage(data) {
-  const { token, sessionId, messageType, content } = data;
+function handleDisableTwoFactor(data) {
+  const { token, code } = data;
+
+  if (!token || !code) {
+    return { error: 'Token and code are required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const user = findUserByEmail(session.user_email);
+  if (user.totp_enabled !== true) {
+    return { error: 'Two-factor authentication is not enabled' };
+  }
+
+  if (!verifyTotp(user, code) && !consumeRecoveryCode(user, code)) {
+    return { error: 'Invalid two-factor code', code: 'INVALID_CODE' };
+  }
+
+  updateUserField(user.email, 'totp_enabled', false);
+  updateUserField(user.email, 'totp_secret', '');
+  updateUserField(user.email, 'recovery_codes', '');
+  updateUserField(user.email, 'updated_at', new Date().toISOString());
+
+  return { success: true };
+}
+
+// ============== SESSION HANDLERS ==============
+
+/**
+ * List the active sessions of the current user
+ */
+function handleListSessions(data) {
+  const { token } = data;
 
   if (!token) {
     return { error: 'Token is required' };
@@ -490,31 +1125,56 @@ function handleSaveChatMessage(data) {
     return { error: 'Invalid or expired session' };
   }
 
-  const sheet = getSheet(CHAT_HISTORY_SHEET);
-  const now = new Date().toISOString();
+  const now = new Date();
+  const sessions = getSessionsForUser(session.user_email)
+    .filter(s => new Date(s.expires_at) >= now)
+    .map(s => ({
+      id: s.id,
+      created_at: s.created_at,
+      expires_at: s.expires_at,
+      last_seen_at: s.last_seen_at || s.created_at,
+      user_agent: s.user_agent,
+      current: s.row === session.row
+    }));
+
+  // Most recently used first
+  sessions.sort((a, b) => new Date(b.last_seen_at) - new Date(a.last_seen_at));
+
+  return { sessions: sessions };
+}
 
-  // Generate unique ID
-  const id = now + '_' + Math.random().toString(36).substr(2, 9);
+/**
+ * Revoke one session of the current user
+ */
+function handleRevokeSession(data) {
+  const { token, sessionId } = data;
 
-  const messageData = [
-    id,                    // A: id
-    sessionId,             // B: session_id
-    session.user_email,    // C: user_email
-    messageType,           // D: message_type (human/ai)
-    content,               // E: content
-    now                    // F: created_at
-  ];
+  if (!token) {
+    return { error: 'Token is required' };
+  }
 
-  sheet.appendRow(messageData);
+  if (!sessionId) {
+    return { error: 'Session ID is required' };
+  }
 
-  return { success: true, id: id };
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const revoked = deleteSessionRows(row => row[1] === session.user_email && row[6] === sessionId);
+  if (revoked === 0) {
+    return { error: 'Session not found' };
+  }
+
+  return { success: true, revoked: revoked };
 }
 
 /**
- * Get chat history for a user
+ * Revoke all sessions of the current user (optionally keeping the current one)
  */
-function handleGetChatHistory(data) {
-  const { token } = data;
+function handleRevokeAllSessions(data) {
+  const { token, exceptCurrent } = data;
 
   if (!token) {
     return { error: 'Token is required' };
@@ -525,77 +1185,136 @@ function handleGetChatHistory(data) {
     return { error: 'Invalid or expired session' };
   }
 
-  const sheet = getSheet(CHAT_HISTORY_SHEET);
-  const allData = sheet.getDataRange().getValues();
+  const revoked = deleteSessionRows(row =>
+    row[1] === session.user_email && !(exceptCurrent && row[0] === session.token_hash)
+  );
 
-  // Group messages by session_id
-  const sessionsMap = {};
+  return { success: true, revoked: revoked };
+}
 
-  for (let i = 1; i < allData.length; i++) {
-    const row = allData[i];
-    if (row[2] === session.user_email) { // Filter by user_email
-      const sessionId = row[1];
+/**
+ * Handle email confirmation (GET request)
+ */
+function handleConfirmEmail(token) {
+  const user = findUserByVerifyToken(token);
 
-      if (!sessionsMap[sessionId]) {
-        sessionsMap[sessionId] = {
-          sessionId: sessionId,
-          messages: [],
-          firstMessageTime: row[5]
-        };
-      }
+  let redirectUrl;
+  let message;
 
-      sessionsMap[sessionId].messages.push({
-        id: row[0],
-        type: row[3],
-        content: row[4],
-        created_at: row[5]
-      });
-    }
+  if (!user) {
+    redirectUrl = `${APP_URL}/confirm.html?error=invalid_token`;
+    message = 'Token invalido o expirado.';
+  } else if (user.verified) {
+    redirectUrl = `${APP_URL}/confirm.html?error=already_verified`;
+    message = 'Esta cuenta ya fue verificada.';
+  } else if (!user.verify_token_expires || new Date(user.verify_token_expires) < new Date()) {
+    redirectUrl = `${APP_URL}/confirm.html?error=expired`;
+    message = 'El enlace ha expirado.';
+  } else {
+    // Mark as verified
+    updateUserField(user.email, 'verified', true);
+    updateUserField(user.email, 'verify_token', '');
+    updateUserField(user.email, 'verify_token_expires', '');
+    updateUserField(user.email, 'updated_at', new Date().toISOString());
+
+    redirectUrl = `${APP_URL}/confirm.html?success=true`;
+    message = 'Cuenta verificada exitosamente!';
   }
 
-  // Convert to array and calculate stats
-  const conversations = Object.values(sessionsMap).map(conv => {
-    const humanMessages = conv.messages.filter(m => m.type === 'human');
-    const aiMessages = conv.messages.filter(m => m.type === 'ai');
+  return redirectPage(redirectUrl, message);
+}
 
-    return {
-      sessionId: conv.sessionId,
-      title: humanMessages[0]?.content?.substring(0, 50) || 'Conversacion',
-      preview: humanMessages[0]?.content?.substring(0, 100) || '',
-      totalMessages: conv.messages.length,
-      humanMessages: humanMessages.length,
-      aiMessages: aiMessages.length,
-      messages: conv.messages,
-      createdAt: conv.firstMessageTime
-    };
-  });
+/**
+ * Handle email change confirmation (GET request)
+ * Moves the account and its sessions to the new address under a script lock
+ */
+function handleConfirmEmailChange(token) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
 
-  // Sort by most recent first
-  conversations.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  let redirectUrl;
+  let message;
+  let oldEmail = null;
+  let newEmail = null;
 
-  // Also return flat messages array for easier consumption
-  const messages = [];
-  for (let i = 1; i < allData.length; i++) {
-    const row = allData[i];
-    if (row[2] === session.user_email) {
-      messages.push({
-        id: row[0],
-        session_id: row[1],
-        user_email: row[2],
-        message_type: row[3],
-        content: row[4],
-        created_at: row[5]
-      });
+  try {
+    const user = findUserByEmailChangeToken(token);
+
+    if (!user || !user.pending_email) {
+      redirectUrl = `${APP_URL}/confirm.html?error=invalid_token`;
+      message = 'Token invalido o expirado.';
+    } else if (new Date(user.email_change_expires) < new Date()) {
+      redirectUrl = `${APP_URL}/confirm.html?error=expired`;
+      message = 'El enlace ha expirado.';
+    } else if (findUserByEmail(user.pending_email)) {
+      redirectUrl = `${APP_URL}/confirm.html?error=email_taken`;
+      message = 'Este correo ya esta registrado.';
+    } else {
+      oldEmail = user.email;
+      newEmail = user.pending_email;
+
+      migrateUserEmail(oldEmail, newEmail);
+
+      redirectUrl = `${APP_URL}/confirm.html?success=email_changed`;
+      message = 'Correo actualizado exitosamente!';
     }
+  } finally {
+    lock.releaseLock();
   }
 
-  return { conversations: conversations, messages: messages };
+  if (oldEmail) {
+    sendEmailChangedNotice(oldEmail, newEmail);
+  }
+
+  return redirectPage(redirectUrl, message);
 }
 
+// ============== ACCOUNT HANDLERS ==============
+
 /**
- * Get chat statistics for a user
+ * Delete the current user's account
+ * Requires the password again; schedules or performs deletion depending on ACCOUNT_DELETION_GRACE_DAYS
  */
-function handleGetChatStats(data) {
+function handleDeleteAccount(data) {
+  const { token, password } = data;
+
+  if (!token || !password) {
+    return { error: 'Token and password are required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const user = findUserByEmail(session.user_email);
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  if (!verifyPassword(password, user.salt, user.password_hash)) {
+    return { error: 'Invalid password', code: 'INVALID_PASSWORD' };
+  }
+
+  if (ACCOUNT_DELETION_GRACE_DAYS > 0) {
+    const scheduledAt = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    updateUserField(user.email, 'deletion_scheduled_at', scheduledAt.toISOString());
+    deleteSessionRows(row => row[1] === user.email);
+    sendAccountDeletionEmail(user.email, scheduledAt);
+
+    return { success: true, scheduled: true, deletionScheduledAt: scheduledAt.toISOString() };
+  }
+
+  deleteUserData(user);
+
+  return { success: true, scheduled: false };
+}
+
+/**
+ * Download everything stored about the current user as one JSON-ready bundle
+ */
+function handleExportUserData(data) {
   const { token } = data;
 
   if (!token) {
@@ -607,258 +1326,3172 @@ function handleGetChatStats(data) {
     return { error: 'Invalid or expired session' };
   }
 
-  const sheet = getSheet(CHAT_HISTORY_SHEET);
-  const allData = sheet.getDataRange().getValues();
+  const user = findUserByEmail(session.user_email);
+  if (!user) {
+    return { error: 'User not found' };
+  }
 
-  const sessions = new Set();
-  let humanCount = 0;
-  let aiCount = 0;
-  const messagesByDay = {};
+  const sessions = getSessionsForUser(user.email).map(s => ({
+    created_at: s.created_at,
+    expires_at: s.expires_at,
+    last_seen_at: s.last_seen_at,
+    user_agent: s.user_agent
+  }));
+
+  const metaMap = getConversationMetaMap(user.user_id);
+  const conversations = Object.keys(metaMap).map(sessionId => ({
+    session_id: sessionId,
+    title: metaMap[sessionId].title,
+    pinned: metaMap[sessionId].pinned === true,
+    archived: metaMap[sessionId].archived === true
+  }));
+
+  const messages = getChatRowsForUser(user.user_id)
+    .map(chatRowToMessage)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  const feedback = getFeedbackRows()
+    .filter(row => row[3] === user.user_id)
+    .map(feedbackRowToObject);
 
-  for (let i = 1; i < allData.length; i++) {
-    const row = allData[i];
-    if (row[2] === session.user_email) {
-      sessions.add(row[1]);
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: Object.assign(toPublicUser(user), {
+      verified: user.verified === true,
+      updated_at: user.updated_at
+    }),
+    sessions: sessions,
+    conversations: conversations,
+    messages: messages,
+    feedback: feedback
+  };
+}
 
-      if (row[3] === 'human') humanCount++;
-      else if (row[3] === 'ai') aiCount++;
+// ============== ADMIN HANDLERS ==============
 
-      // Group by day
-      const date = new Date(row[5]).toISOString().split('T')[0];
-      messagesByDay[date] = (messagesByDay[date] || 0) + 1;
-    }
+/**
+ * Run a handler only if the session's user has the given role
+ * The handler receives (data, currentUser)
+ */
+function withRole(role, data, handler) {
+  const { token } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
   }
 
-  // Get last 7 days
-  const days = ['Dom', 'Lun', 'Mar', 'Mie', 'Jue', 'Vie', 'Sab'];
-  const last7Days = [];
-  for (let i = 6; i >= 0; i--) {
-    const d = new Date();
-    d.setDate(d.getDate() - i);
-    const dateStr = d.toISOString().split('T')[0];
-    last7Days.push({
-      label: days[d.getDay()],
-      count: messagesByDay[dateStr] || 0
-    });
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
   }
 
-  const maxCount = Math.max(...last7Days.map(d => d.count), 1);
-  last7Days.forEach(day => {
-    day.percentage = Math.round((day.count / maxCount) * 100);
-  });
+  const user = findUserByEmail(session.user_email);
+  if (!user || user.disabled === true || user.role !== role) {
+    return { error: 'Forbidden', code: 'FORBIDDEN' };
+  }
 
-  // Recent conversations
-  const recentConversations = [];
+  return handler(data, user);
+}
+
+/**
+ * List every user with verification status, active sessions and message volume
+ */
+function handleAdminListUsers(data) {
+  const now = new Date();
+
+  const sessionCounts = {};
+  getSheet(SESSIONS_SHEET).getDataRange().getValues().slice(1).forEach(row => {
+    if (new Date(row[3]) > now) {
+      sessionCounts[row[1]] = (sessionCounts[row[1]] || 0) + 1;
+    }
+  });
+
+  const messageCounts = {};
+  const lastMessageAt = {};
+  getSheet(CHAT_HISTORY_SHEET).getDataRange().getValues().slice(1).forEach(row => {
+    messageCounts[row[2]] = (messageCounts[row[2]] || 0) + 1;
+    if (!lastMessageAt[row[2]] || new Date(row[5]) > new Date(lastMessageAt[row[2]])) {
+      lastMessageAt[row[2]] = row[5];
+    }
+  });
+
+  const users = getSheet(USERS_SHEET).getDataRange().getValues().slice(1)
+    .filter(row => row[0])
+    .map(row => ({
+      id: row[17],
+      email: row[0],
+      username: row[1],
+      display_name: row[19] || '',
+      role: row[22] || ROLES.USER,
+      verified: row[5] === true,
+      disabled: row[23] === true,
+      created_at: row[4],
+      deletion_scheduled_at: row[18] || null,
+      sessionCount: sessionCounts[row[0]] || 0,
+      messageCount: messageCounts[row[17]] || 0,
+      lastMessageAt: lastMessageAt[row[17]] || null
+    }));
+
+  return { users: users };
+}
+
+/**
+ * Mark a user's email as verified
+ */
+function handleAdminVerifyUser(data) {
+  const target = findUserById(data.userId);
+  if (!target) {
+    return { error: 'User not found' };
+  }
+
+  updateUserField(target.email, 'verified', true);
+  updateUserField(target.email, 'verify_token', '');
+  updateUserField(target.email, 'verify_token_expires', '');
+  updateUserField(target.email, 'updated_at', new Date().toISOString());
+
+  return { success: true, userId: target.user_id };
+}
+
+/**
+ * Disable or re-enable a user; disabling signs them out everywhere
+ */
+function handleAdminSetUserDisabled(data, currentUser) {
+  const { userId, disabled } = data;
+
+  const target = findUserById(userId);
+  if (!target) {
+    return { error: 'User not found' };
+  }
+
+  if (target.email === currentUser.email) {
+    return { error: 'You cannot disable your own account' };
+  }
+
+  updateUserField(target.email, 'disabled', disabled !== false);
+  updateUserField(target.email, 'updated_at', new Date().toISOString());
+
+  if (disabled !== false) {
+    deleteSessionRows(row => row[1] === target.email);
+  }
+
+  return { success: true, userId: target.user_id, disabled: disabled !== false };
+}
+
+/**
+ * Delete a user and all their data immediately
+ */
+function handleAdminDeleteUser(data, currentUser) {
+  const target = findUserById(data.userId);
+  if (!target) {
+    return { error: 'User not found' };
+  }
+
+  if (target.email === currentUser.email) {
+    return { error: 'You cannot delete your own account from the admin console' };
+  }
+
+  deleteUserData(target);
+
+  return { success: true, userId: target.user_id };
+}
+
+// ============== WORKSPACE HANDLERS ==============
+
+/**
+ * Create a workspace owned by the current user
+ */
+function handleCreateWorkspace(data) {
+  const { token, name } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  const cleanName = String(name || '').trim().substring(0, WORKSPACE_NAME_MAX_LENGTH);
+  if (!cleanName) {
+    return { error: 'Workspace name is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const user = findUserByEmail(session.user_email);
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  const now = new Date().toISOString();
+  const workspaceId = Utilities.getUuid();
+
+  getSheet(WORKSPACES_SHEET).appendRow([
+    workspaceId,    // A: id
+    cleanName,      // B: name
+    user.user_id,   // C: owner_id
+    now             // D: created_at
+  ]);
+
+  getSheet(MEMBERSHIPS_SHEET).appendRow([
+    Utilities.getUuid(), // A: id
+    workspaceId,         // B: workspace_id
+    user.user_id,        // C: user_id
+    user.email,          // D: email
+    'owner',             // E: role
+    'active',            // F: status
+    '',                  // G: invite_token (hashed)
+    user.user_id,        // H: invited_by
+    now,                 // I: created_at
+    now                  // J: updated_at
+  ]);
+
+  return { success: true, workspace: { id: workspaceId, name: cleanName, role: 'owner', memberCount: 1 } };
+}
+
+/**
+ * List the workspaces the user belongs to and the invitations waiting for them
+ */
+function handleListWorkspaces(data) {
+  const { token } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const user = findUserByEmail(session.user_email);
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  const names = getWorkspaceNames();
+  const memberships = getMemberships();
+  const memberCounts = {};
+  memberships.forEach(m => {
+    if (m.status === 'active') {
+      memberCounts[m.workspace_id] = (memberCounts[m.workspace_id] || 0) + 1;
+    }
+  });
+
+  const workspaces = memberships
+    .filter(m => m.status === 'active' && m.user_id === user.user_id && names[m.workspace_id])
+    .map(m => ({
+      id: m.workspace_id,
+      name: names[m.workspace_id],
+      role: m.role,
+      memberCount: memberCounts[m.workspace_id] || 0
+    }));
+
+  const userEmail = normalizeInviteEmail(user.email);
+  const invitations = memberships
+    .filter(m => m.status === 'pending' && normalizeInviteEmail(m.email) === userEmail && names[m.workspace_id] && !isInvitationExpired(m))
+    .map(m => ({
+      id: m.id,
+      workspaceId: m.workspace_id,
+      workspaceName: names[m.workspace_id],
+      role: m.role
+    }));
+
+  return { workspaces: workspaces, invitations: invitations };
+}
+
+/**
+ * List the members and pending invitations of a workspace
+ */
+function handleListWorkspaceMembers(data) {
+  const { token, workspaceId } = data;
+
+  const context = getWorkspaceContext(token, workspaceId);
+  if (context.error) {
+    return { error: context.error };
+  }
+
+  const members = getMemberships()
+    .filter(m => m.workspace_id === workspaceId && (m.status === 'active' || m.status === 'pending'))
+    .map(m => ({
+      id: m.id,
+      email: m.email,
+      role: m.role,
+      status: m.status,
+      current: m.user_id === context.user.user_id,
+      created_at: m.created_at
+    }));
+
+  return { members: members, role: context.membership.role };
+}
+
+/**
+ * Invite someone to a workspace by email (owners and admins)
+ */
+function handleInviteWorkspaceMember(data) {
+  const { token, workspaceId, email, role } = data;
+
+  const context = getWorkspaceContext(token, workspaceId);
+  if (context.error) {
+    return { error: context.error };
+  }
+
+  if (context.membership.role === 'member') {
+    return { error: 'Only owners and admins can invite members', code: 'FORBIDDEN' };
+  }
+
+  const inviteEmail = normalizeInviteEmail(email);
+  if (!inviteEmail) {
+    return { error: 'Email is required' };
+  }
+
+  const inviteRole = role || 'member';
+  if (inviteRole === 'owner' || WORKSPACE_ROLES.indexOf(inviteRole) === -1) {
+    return { error: 'Invalid role' };
+  }
+
+  const existing = getMemberships().find(m =>
+    m.workspace_id === workspaceId && normalizeInviteEmail(m.email) === inviteEmail && (m.status === 'active' || m.status === 'pending')
+  );
+  if (existing && (existing.status === 'active' || !isInvitationExpired(existing))) {
+    return { error: 'This person is already a member or has a pending invitation', code: 'ALREADY_INVITED' };
+  }
+
+  const inviteToken = generateToken(32);
+  const now = new Date().toISOString();
+
+  getSheet(MEMBERSHIPS_SHEET).appendRow([
+    Utilities.getUuid(),       // A: id
+    workspaceId,               // B: workspace_id
+    '',                        // C: user_id (set on accept)
+    inviteEmail,               // D: email
+    inviteRole,                // E: role
+    'pending',                 // F: status
+    hashToken(inviteToken),    // G: invite_token (hashed)
+    context.user.user_id,      // H: invited_by
+    now,                       // I: created_at
+    now                        // J: updated_at
+  ]);
+
+  sendWorkspaceInvitationEmail(
+    inviteEmail,
+    context.user.display_name || context.user.email,
+    getWorkspaceNames()[workspaceId],
+    inviteToken
+  );
+
+  return { success: true };
+}
+
+/**
+ * Accept or decline an invitation
+ * Accepts either the emailed token or the invitation id (from listWorkspaces)
+ */
+function handleRespondWorkspaceInvitation(data) {
+  const { token, inviteToken, invitationId, accept } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const user = findUserByEmail(session.user_email);
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  const tokenHash = inviteToken ? hashToken(inviteToken) : null;
+  const invitation = getMemberships().find(m =>
+    m.status === 'pending' && (tokenHash ? m.invite_token === tokenHash : m.id === invitationId)
+  );
+
+  if (!invitation || isInvitationExpired(invitation)) {
+    return { error: 'Invalid or expired invitation', code: 'INVALID_INVITATION' };
+  }
+
+  // Invitations are personal: they can only be used by the invited address
+  if (normalizeInviteEmail(invitation.email) !== normalizeInviteEmail(user.email)) {
+    return { error: 'This invitation was sent to a different email', code: 'WRONG_ACCOUNT' };
+  }
+
+  updateMembership(invitation.row, {
+    user_id: accept ? user.user_id : '',
+    status: accept ? 'active' : 'declined',
+    invite_token: ''
+  });
+
+  return {
+    success: true,
+    accepted: !!accept,
+    workspace: { id: invitation.workspace_id, name: getWorkspaceNames()[invitation.workspace_id], role: invitation.role }
+  };
+}
+
+/**
+ * Change a member's role (owners only)
+ */
+function handleUpdateWorkspaceMemberRole(data) {
+  const { token, workspaceId, memberId, role } = data;
+
+  const context = getWorkspaceContext(token, workspaceId);
+  if (context.error) {
+    return { error: context.error };
+  }
+
+  if (context.membership.role !== 'owner') {
+    return { error: 'Only owners can change roles', code: 'FORBIDDEN' };
+  }
+
+  if (role === 'owner' || WORKSPACE_ROLES.indexOf(role) === -1) {
+    return { error: 'Invalid role' };
+  }
+
+  const member = getMemberships().find(m => m.id === memberId && m.workspace_id === workspaceId);
+  if (!member || member.role === 'owner') {
+    return { error: 'Member not found' };
+  }
+
+  updateMembership(member.row, { role: role });
+
+  return { success: true, memberId: memberId, role: role };
+}
+
+/**
+ * Remove a member or cancel an invitation; members may remove themselves to leave
+ */
+function handleRemoveWorkspaceMember(data) {
+  const { token, workspaceId, memberId } = data;
+
+  const context = getWorkspaceContext(token, workspaceId);
+  if (context.error) {
+    return { error: context.error };
+  }
+
+  const member = getMemberships().find(m => m.id === memberId && m.workspace_id === workspaceId);
+  if (!member) {
+    return { error: 'Member not found' };
+  }
+
+  const isSelf = member.id === context.membership.id;
+
+  if (member.role === 'owner') {
+    return { error: 'The owner cannot leave or be removed' };
+  }
+
+  if (!isSelf && context.membership.role === 'member') {
+    return { error: 'Only owners and admins can remove members', code: 'FORBIDDEN' };
+  }
+
+  if (!isSelf && context.membership.role === 'admin' && member.role === 'admin') {
+    return { error: 'Only owners can remove admins', code: 'FORBIDDEN' };
+  }
+
+  updateMembership(member.row, { status: 'removed', invite_token: '' });
+
+  return { success: true, memberId: memberId };
+}
+
+// ============== CHAT HISTORY HANDLERS ==============
+
+/**
+ * Save a chat message
+ * Clients may send their own messageId (and original createdAt) so retried saves are stored once
+ */
+function handleSaveChatMessage(data) {
+  const { token, sessionId, messageType, content, workspaceId, messageId, createdAt } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  if (messageId && !CLIENT_MESSAGE_ID_PATTERN.test(messageId)) {
+    return { error: 'Invalid message ID' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const userId = getSessionUserId(session);
+  if (!userId) {
+    return { error: 'User not found' };
+  }
+
+  // Messages sent inside a workspace are shared with its members
+  const scope = resolveChatScope(userId, workspaceId);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  // Saving must not reopen or mix into another scope's conversation
+  const access = checkChatSessionAccess(scope, sessionId);
+  if (access) {
+    return access;
+  }
+
+  const sheet = getSheet(CHAT_HISTORY_SHEET);
+  const now = new Date();
+
+  // Queued messages keep the time they were written, as long as it is not in the future
+  const clientTime = createdAt ? new Date(createdAt) : null;
+  const timestamp = clientTime && !isNaN(clientTime.getTime()) && clientTime <= now ? clientTime : now;
+
+  const id = messageId || Utilities.getUuid();
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+
+  try {
+    if (messageId) {
+      const existing = findChatRowById(messageId);
+      if (existing) {
+        // Already stored by an earlier attempt
+        if (existing[2] !== userId) {
+          return { error: 'Invalid message ID' };
+        }
+        return { success: true, id: id, duplicate: true };
+      }
+    }
+
+    const messageData = [
+      id,                    // A: id
+      sessionId,             // B: session_id
+      userId,                // C: user_id
+      messageType,           // D: message_type (human/ai)
+      content,               // E: content
+      timestamp.toISOString(), // F: created_at
+      scope.workspaceId || '' // G: workspace_id (empty for personal chats)
+    ];
+
+    sheet.appendRow(messageData);
+    clearConversationTombstone(scope, sessionId);
+  } finally {
+    lock.releaseLock();
+  }
+
+  return { success: true, id: id };
+}
+
+/**
+ * Relay a chat message to n8n and store the question and the answer together
+ * Runs to completion even if the browser goes away, so history does not depend on the tab staying open
+ * Resending the same messageId returns the stored answer instead of asking n8n again,
+ * or asks again for a stored question whose first attempt failed
+ */
+function handleChatProxy(data) {
+  const { token, sessionId, message, workspaceId, messageId } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  const text = String(message || '').trim();
+  if (!sessionId || !text) {
+    return { error: 'Session ID and message are required' };
+  }
+
+  if (messageId && !CLIENT_MESSAGE_ID_PATTERN.test(messageId)) {
+    return { error: 'Invalid message ID' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const userId = getSessionUserId(session);
+  if (!userId) {
+    return { error: 'User not found' };
+  }
+
+  const scope = resolveChatScope(userId, workspaceId);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  // Same rule as the assertions n8n receives: only sessions the caller may use in this scope
+  const access = checkChatSessionAccess(scope, sessionId);
+  if (access) {
+    return access;
+  }
+
+  const humanId = messageId || Utilities.getUuid();
+  const cache = CacheService.getScriptCache();
+  const inFlightKey = 'chat_in_flight_' + humanId;
+  let previous = null;
+
+  // Check and mark under the lock, so concurrent retries of one message reach n8n only once
+  const markLock = LockService.getScriptLock();
+  markLock.waitLock(30000);
+
+  try {
+    if (messageId) {
+      previous = findChatRowById(messageId);
+      if (previous) {
+        if (previous[2] !== userId || previous[1] !== sessionId) {
+          return { error: 'Invalid message ID' };
+        }
+
+        // Answered already, or a question n8n failed on that is asked again below
+        const previousReply = findChatReplyRow(messageId);
+        if (previousReply || previous[7] !== 'error') {
+          return buildChatProxyResult(previous, previousReply);
+        }
+      }
+    }
+
+    if (cache.get(inFlightKey)) {
+      return { error: 'This message is still being answered', code: 'IN_PROGRESS' };
+    }
+    cache.put(inFlightKey, '1', CHAT_PROXY_IN_FLIGHT_SECONDS);
+  } finally {
+    markLock.releaseLock();
+  }
+
+  try {
+    const sentAt = new Date();
+    // A retried question is asked as it was stored, so history and answer match
+    const question = previous ? String(previous[4]) : text;
+    const relay = relayToN8n(sessionId, question, userId, scope.workspaceId);
+    const receivedAt = new Date();
+    const latencyMs = receivedAt.getTime() - sentAt.getTime();
+    const status = relay.error ? 'error' : 'ok';
+
+    const humanRow = previous ? previous.slice(0, 10) : [
+      humanId,                  // A: id
+      sessionId,                // B: session_id
+      userId,                   // C: user_id
+      'human',                  // D: message_type
+      text,                     // E: content
+      sentAt.toISOString(),     // F: created_at
+      scope.workspaceId || '',  // G: workspace_id
+      status,                   // H: status
+      latencyMs,                // I: latency_ms
+      ''                        // J: reply_to
+    ];
+    humanRow[7] = status;
+    humanRow[8] = latencyMs;
+
+    // A retry only adds the answer; its question is already stored
+    const rows = previous ? [] : [humanRow];
+    let replyRow = null;
+
+    if (!relay.error) {
+      replyRow = [
+        Utilities.getUuid(),
+        sessionId,
+        userId,
+        'ai',
+        relay.reply,
+        receivedAt.toISOString(),
+        scope.workspaceId || '',
+        status,
+        latencyMs,
+        humanId
+      ];
+      rows.push(replyRow);
+    } else {
+      Logger.log('chatProxy: n8n relay failed: ' + relay.error);
+    }
+
+    // Both sides go in with one write, so history never shows an answer without its question
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+
+    try {
+      const sheet = getSheet(CHAT_HISTORY_SHEET);
+      if (previous) {
+        // A concurrent retry may have stored an answer meanwhile: keep that one
+        const storedReply = findChatReplyRow(humanId);
+        if (storedReply) {
+          return buildChatProxyResult(previous, storedReply);
+        }
+
+        const rowNumber = findChatRowNumber(humanId);
+        if (rowNumber) {
+          sheet.getRange(rowNumber, 8, 1, 2).setValues([[status, latencyMs]]);
+        }
+      }
+      if (rows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, humanRow.length).setValues(rows);
+      }
+      clearConversationTombstone(scope, sessionId);
+    } finally {
+      lock.releaseLock();
+    }
+
+    return buildChatProxyResult(humanRow, replyRow);
+  } finally {
+    cache.remove(inFlightKey);
+  }
+}
+
+/**
+ * Get chat history for a user
+ */
+function handleGetChatHistory(data) {
+  const { token, workspaceId } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const scope = resolveChatScope(getSessionUserId(session), workspaceId);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  const sheet = getSheet(CHAT_HISTORY_SHEET);
+  const allData = sheet.getDataRange().getValues();
+
+  // Group messages by session_id
+  const sessionsMap = {};
+
+  for (let i = 1; i < allData.length; i++) {
+    const row = allData[i];
+    if (rowInChatScope(row, scope)) { // Filter by user or workspace
+      const sessionId = row[1];
+
+      if (!sessionsMap[sessionId]) {
+        sessionsMap[sessionId] = {
+          sessionId: sessionId,
+          messages: [],
+          firstMessageTime: row[5]
+        };
+      }
+
+      sessionsMap[sessionId].messages.push({
+        id: row[0],
+        type: row[3],
+        content: row[4],
+        created_at: row[5]
+      });
+    }
+  }
+
+  const metaMap = getConversationMetaMapForScope(scope);
+
+  // Convert to array and calculate stats
+  const conversations = Object.values(sessionsMap).map(conv => {
+    const humanMessages = conv.messages.filter(m => m.type === 'human');
+    const aiMessages = conv.messages.filter(m => m.type === 'ai');
+    const meta = metaMap[conv.sessionId] || {};
+
+    return {
+      sessionId: conv.sessionId,
+      title: meta.title || humanMessages[0]?.content?.substring(0, 50) || 'Conversacion',
+      pinned: meta.pinned === true,
+      archived: meta.archived === true,
+      preview: humanMessages[0]?.content?.substring(0, 100) || '',
+      totalMessages: conv.messages.length,
+      humanMessages: humanMessages.length,
+      aiMessages: aiMessages.length,
+      messages: conv.messages,
+      createdAt: conv.firstMessageTime
+    };
+  });
+
+  // Sort by most recent first
+  conversations.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  // Also return flat messages array for easier consumption
+  const messages = [];
+  for (let i = 1; i < allData.length; i++) {
+    const row = allData[i];
+    if (rowInChatScope(row, scope)) {
+      messages.push({
+        id: row[0],
+        session_id: row[1],
+        user_id: row[2],
+        message_type: row[3],
+        content: row[4],
+        created_at: row[5]
+      });
+    }
+  }
+
+  return { conversations: conversations, messages: messages };
+}
+
+/**
+ * List conversation summaries for a user, pinned first then most recent
+ * Uses an offset cursor so the client can load pages lazily
+ * Archived conversations are hidden unless includeArchived is set
+ */
+function handleListConversations(data) {
+  const { token, cursor, limit, includeArchived, workspaceId } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const scope = resolveChatScope(getSessionUserId(session), workspaceId);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  const pageSize = Math.min(parseInt(limit, 10) || CONVERSATIONS_PAGE_SIZE, CONVERSATIONS_MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(cursor, 10) || 0, 0);
+
+  const summaries = buildConversationSummaries(
+    getChatRowsForScope(scope),
+    getConversationMetaMapForScope(scope)
+  ).filter(conv => includeArchived || !conv.archived);
+  const page = summaries.slice(offset, offset + pageSize);
+  const nextOffset = offset + page.length;
+
+  return {
+    conversations: page,
+    nextCursor: nextOffset < summaries.length ? String(nextOffset) : null,
+    total: summaries.length
+  };
+}
+
+/**
+ * Get all messages of a single conversation
+ */
+function handleGetConversation(data) {
+  const { token, sessionId, workspaceId } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  if (!sessionId) {
+    return { error: 'Session ID is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const scope = resolveChatScope(getSessionUserId(session), workspaceId);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  // Each member sees their own rating of the AI replies
+  const feedbackMap = getFeedbackMapForUser(scope.userId);
+
+  const messages = getChatRowsForScope(scope)
+    .filter(row => row[1] === sessionId)
+    .map(row => Object.assign(chatRowToMessage(row), { feedback: feedbackMap[row[0]] || null }))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  return { sessionId: sessionId, messages: messages };
+}
+
+/**
+ * Search the content of a user's chat messages
+ * Optional filters: from/to (ISO dates) and messageType (human/ai)
+ */
+function handleSearchChatHistory(data) {
+  const { token, query, from, to, messageType, limit, workspaceId } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  if (!query || !String(query).trim()) {
+    return { error: 'Query is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const scope = resolveChatScope(getSessionUserId(session), workspaceId);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  const needle = String(query).trim().toLowerCase();
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  const maxResults = Math.min(parseInt(limit, 10) || SEARCH_MAX_RESULTS, SEARCH_MAX_RESULTS);
+
+  const matches = [];
+
+  getChatRowsForScope(scope).forEach(row => {
+    if (messageType && row[3] !== messageType) return;
+
+    const createdAt = new Date(row[5]);
+    if (fromDate && createdAt < fromDate) return;
+    if (toDate && createdAt > toDate) return;
+
+    const content = String(row[4]);
+    const index = content.toLowerCase().indexOf(needle);
+    if (index === -1) return;
+
+    matches.push(Object.assign(
+      {
+        id: row[0],
+        sessionId: row[1],
+        message_type: row[3],
+        created_at: row[5]
+      },
+      buildSearchSnippet(content, needle)
+    ));
+  });
+
+  // Most recent matches first
+  matches.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+  return {
+    results: matches.slice(0, maxResults),
+    total: matches.length
+  };
+}
+
+/**
+ * Rename a conversation
+ */
+function handleRenameConversation(data) {
+  const { token, sessionId, title, workspaceId } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  if (!sessionId) {
+    return { error: 'Session ID is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const userId = getSessionUserId(session);
+  const scope = resolveChatScope(userId, workspaceId);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  if (!conversationInScope(scope, sessionId)) {
+    return { error: 'Conversation not found' };
+  }
+
+  const cleanTitle = String(title || '').trim().substring(0, 100);
+  upsertConversationMeta(scope, sessionId, { title: cleanTitle });
+
+  return { success: true, sessionId: sessionId, title: cleanTitle };
+}
+
+/**
+ * Pin or unpin a conversation
+ */
+function handlePinConversation(data) {
+  const { token, sessionId, pinned, workspaceId } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  if (!sessionId) {
+    return { error: 'Session ID is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const userId = getSessionUserId(session);
+  const scope = resolveChatScope(userId, workspaceId);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  if (!conversationInScope(scope, sessionId)) {
+    return { error: 'Conversation not found' };
+  }
+
+  upsertConversationMeta(scope, sessionId, { pinned: pinned !== false });
+
+  return { success: true, sessionId: sessionId, pinned: pinned !== false };
+}
+
+/**
+ * Archive or unarchive a conversation
+ */
+function handleArchiveConversation(data) {
+  const { token, sessionId, archived, workspaceId } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  if (!sessionId) {
+    return { error: 'Session ID is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const userId = getSessionUserId(session);
+  const scope = resolveChatScope(userId, workspaceId);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  if (!conversationInScope(scope, sessionId)) {
+    return { error: 'Conversation not found' };
+  }
+
+  upsertConversationMeta(scope, sessionId, { archived: archived !== false });
+
+  return { success: true, sessionId: sessionId, archived: archived !== false };
+}
+
+/**
+ * Delete a conversation and all its messages
+ */
+function handleDeleteConversation(data) {
+  const { token, sessionId, workspaceId } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  if (!sessionId) {
+    return { error: 'Session ID is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const userId = getSessionUserId(session);
+  const scope = resolveChatScope(userId, workspaceId);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  if (!conversationInScope(scope, sessionId)) {
+    return { error: 'Conversation not found' };
+  }
+
+  // In a workspace only the member who started the conversation, admins and the owner may delete it
+  if (scope.workspaceId && getConversationStarter(scope, sessionId) !== userId) {
+    const membership = findActiveMembership(scope.workspaceId, userId);
+    if (membership.role === 'member') {
+      return { error: 'Only owners and admins can delete other members\' conversations', code: 'FORBIDDEN' };
+    }
+  }
+
+  // Every member's messages go, so the conversation cannot come back without its title
+  const deleted = deleteChatRows(row => row[1] === sessionId && rowInChatScope(row, scope));
+  deleteFeedbackRows(row => row[2] === sessionId && feedbackRowInScope(row, scope));
+  upsertConversationMeta(scope, sessionId, { deleted_at: new Date().toISOString() });
+
+  return { success: true, sessionId: sessionId, deletedMessages: deleted };
+}
+
+/**
+ * Get chat statistics for a user
+ */
+function handleGetChatStats(data) {
+  const { token, workspaceId } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const scope = resolveChatScope(getSessionUserId(session), workspaceId);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  const sheet = getSheet(CHAT_HISTORY_SHEET);
+  const allData = sheet.getDataRange().getValues();
+
+  const sessions = new Set();
+  let humanCount = 0;
+  let aiCount = 0;
+  const messagesByDay = {};
+
+  for (let i = 1; i < allData.length; i++) {
+    const row = allData[i];
+    if (rowInChatScope(row, scope)) {
+      sessions.add(row[1]);
+
+      if (row[3] === 'human') humanCount++;
+      else if (row[3] === 'ai') aiCount++;
+
+      // Group by day
+      const date = new Date(row[5]).toISOString().split('T')[0];
+      messagesByDay[date] = (messagesByDay[date] || 0) + 1;
+    }
+  }
+
+  // Get last 7 days
+  const days = ['Dom', 'Lun', 'Mar', 'Mie', 'Jue', 'Vie', 'Sab'];
+  const last7Days = [];
+  for (let i = 6; i >= 0; i--) {
+    const d = new Date();
+    d.setDate(d.getDate() - i);
+    const dateStr = d.toISOString().split('T')[0];
+    last7Days.push({
+      label: days[d.getDay()],
+      count: messagesByDay[dateStr] || 0
+    });
+  }
+
+  const maxCount = Math.max(...last7Days.map(d => d.count), 1);
+  last7Days.forEach(day => {
+    day.percentage = Math.round((day.count / maxCount) * 100);
+  });
+
+  // Recent conversations
+  const recentConversations = [];
   const sessionsArray = Array.from(sessions).slice(-5);
   sessionsArray.forEach(sessionId => {
-    const messages = allData.filter(row => row[1] === sessionId && row[2] === session.user_email);
+    const messages = allData.filter(row => row[1] === sessionId && rowInChatScope(row, scope));
     recentConversations.push({
       sessionId: sessionId,
       messageCount: messages.length
     });
   });
 
-  // Get first and last message dates
-  let firstMessageDate = null;
-  let lastMessageDate = null;
+  // Get first and last message dates
+  let firstMessageDate = null;
+  let lastMessageDate = null;
+
+  for (let i = 1; i < allData.length; i++) {
+    const row = allData[i];
+    if (rowInChatScope(row, scope) && row[5]) {
+      const date = new Date(row[5]);
+      if (!firstMessageDate || date < new Date(firstMessageDate)) {
+        firstMessageDate = row[5];
+      }
+      if (!lastMessageDate || date > new Date(lastMessageDate)) {
+        lastMessageDate = row[5];
+      }
+    }
+  }
+
+  const satisfaction = buildSatisfactionStats(getFeedbackRowsForScope(scope));
+
+  return {
+    stats: {
+      totalSessions: sessions.size,
+      totalMessages: humanCount + aiCount,
+      humanMessages: humanCount,
+      aiMessages: aiCount,
+      messagesByDay: last7Days,
+      recentConversations: recentConversations.reverse(),
+      firstMessageDate: firstMessageDate,
+      lastMessageDate: lastMessageDate,
+      satisfaction: satisfaction
+    }
+  };
+}
+
+// ============== FEEDBACK HANDLERS ==============
+
+/**
+ * Rate an AI message (thumbs up/down) with an optional comment
+ * One rating per user and message: rating again replaces it, rating null removes it
+ */
+function handleSaveMessageFeedback(data) {
+  const { token, messageId, rating, comment } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  if (!messageId) {
+    return { error: 'Message ID is required' };
+  }
+
+  if (rating && FEEDBACK_RATINGS.indexOf(rating) === -1) {
+    return { error: 'Invalid rating' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const userId = getSessionUserId(session);
+  if (!userId) {
+    return { error: 'User not found' };
+  }
+
+  // The message must be an AI reply the user can see (their own or a shared workspace one)
+  const message = findChatRowById(messageId);
+  if (!message || message[3] !== 'ai') {
+    return { error: 'Message not found' };
+  }
+
+  const scope = resolveChatScope(userId, message[6] || null);
+  if (scope.error || !rowInChatScope(message, scope)) {
+    return { error: 'Message not found' };
+  }
+
+  const sheet = getSheet(MESSAGE_FEEDBACK_SHEET);
+  const rows = sheet.getDataRange().getValues();
+  let existingRow = null;
+  for (let i = 1; i < rows.length; i++) {
+    if (rows[i][1] === messageId && rows[i][3] === userId) {
+      existingRow = i + 1;
+      break;
+    }
+  }
+
+  if (!rating) {
+    if (existingRow) {
+      sheet.deleteRow(existingRow);
+    }
+    return { success: true, feedback: null };
+  }
+
+  const cleanComment = String(comment || '').trim().substring(0, FEEDBACK_COMMENT_MAX_LENGTH);
+  const now = new Date().toISOString();
+
+  if (existingRow) {
+    sheet.getRange(existingRow, 5, 1, 2).setValues([[rating, cleanComment]]);
+    sheet.getRange(existingRow, 8).setValue(now);
+  } else {
+    sheet.appendRow([
+      Utilities.getUuid(),  // A: id
+      messageId,            // B: message_id
+      message[1],           // C: session_id
+      userId,               // D: user_id
+      rating,               // E: rating (up/down)
+      cleanComment,         // F: comment
+      now,                  // G: created_at
+      now,                  // H: updated_at
+      message[6] || ''      // I: workspace_id (empty for personal chats)
+    ]);
+  }
+
+  return { success: true, feedback: { messageId: messageId, rating: rating, comment: cleanComment } };
+}
+
+// ============== DATABASE HELPERS ==============
+
+/**
+ * Get spreadsheet
+ */
+function getSpreadsheet() {
+  return SpreadsheetApp.openById(SPREADSHEET_ID);
+}
+
+/**
+ * Get sheet by name
+ */
+function getSheet(name) {
+  return getSpreadsheet().getSheetByName(name);
+}
+
+/**
+ * Find user by email
+ */
+function findUserByEmail(email) {
+  const sheet = getSheet(USERS_SHEET);
+  const data = sheet.getDataRange().getValues();
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0] === email) {
+      return {
+        row: i + 1,
+        email: data[i][0],
+        username: data[i][1],
+        password_hash: data[i][2],
+        salt: data[i][3],
+        created_at: data[i][4],
+        verified: data[i][5],
+        verify_token: data[i][6],
+        reset_token: data[i][7],
+        reset_token_expires: data[i][8],
+        updated_at: data[i][9],
+        totp_secret: data[i][10],
+        totp_enabled: data[i][11],
+        recovery_codes: data[i][12],
+        verify_token_expires: data[i][13],
+        pending_email: data[i][14],
+        email_change_token: data[i][15],
+        email_change_expires: data[i][16],
+        user_id: data[i][17],
+        deletion_scheduled_at: data[i][18],
+        display_name: data[i][19],
+        language: data[i][20],
+        avatar_url: data[i][21],
+        role: data[i][22] || ROLES.USER,
+        disabled: data[i][23]
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find user by their immutable user_id
+ */
+function findUserById(userId) {
+  if (!userId) return null;
+
+  const sheet = getSheet(USERS_SHEET);
+  const data = sheet.getDataRange().getValues();
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][17] === userId) {
+      return findUserByEmail(data[i][0]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if a username is used by an account other than the given email
+ * Comparison is case-insensitive
+ */
+function isUsernameTaken(username, exceptEmail) {
+  const sheet = getSheet(USERS_SHEET);
+  const data = sheet.getDataRange().getValues();
+  const needle = String(username).toLowerCase();
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0] !== exceptEmail && String(data[i][1]).toLowerCase() === needle) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find user by verify token
+ */
+function findUserByVerifyToken(token) {
+  const sheet = getSheet(USERS_SHEET);
+  const data = sheet.getDataRange().getValues();
+  const tokenHash = hashToken(token);
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][6] && matchStoredToken(data[i][6], token, tokenHash, () => sheet.getRange(i + 1, 7).setValue(tokenHash))) {
+      return {
+        row: i + 1,
+        email: data[i][0],
+        username: data[i][1],
+        verified: data[i][5],
+        verify_token: data[i][6],
+        verify_token_expires: data[i][13]
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find user by reset token
+ */
+function findUserByResetToken(token) {
+  const sheet = getSheet(USERS_SHEET);
+  const data = sheet.getDataRange().getValues();
+  const tokenHash = hashToken(token);
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][7] && matchStoredToken(data[i][7], token, tokenHash, () => sheet.getRange(i + 1, 8).setValue(tokenHash))) {
+      return {
+        row: i + 1,
+        email: data[i][0],
+        reset_token: data[i][7],
+        reset_token_expires: data[i][8]
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find user by email change token
+ */
+function findUserByEmailChangeToken(token) {
+  const sheet = getSheet(USERS_SHEET);
+  const data = sheet.getDataRange().getValues();
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][15] && data[i][15] === hashToken(token)) {
+      return {
+        row: i + 1,
+        email: data[i][0],
+        pending_email: data[i][14],
+        email_change_token: data[i][15],
+        email_change_expires: data[i][16]
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Move every row owned by an email to a new email
+ * Callers must hold the script lock
+ */
+function migrateUserEmail(oldEmail, newEmail) {
+  const user = findUserByEmail(oldEmail);
+  const usersSheet = getSheet(USERS_SHEET);
+
+  // A to Q: swap the email and clear the pending change in one write
+  const userRow = usersSheet.getRange(user.row, 1, 1, 17).getValues()[0];
+  userRow[0] = newEmail;
+  userRow[9] = new Date().toISOString();
+  userRow[14] = '';
+  userRow[15] = '';
+  userRow[16] = '';
+  usersSheet.getRange(user.row, 1, 1, 17).setValues([userRow]);
+
+  const sessionsSheet = getSheet(SESSIONS_SHEET);
+  const lastRow = sessionsSheet.getLastRow();
+  if (lastRow >= 2) {
+    const range = sessionsSheet.getRange(2, 2, lastRow - 1, 1);
+    const values = range.getValues();
+    let changed = false;
+
+    values.forEach(row => {
+      if (row[0] === oldEmail) {
+        row[0] = newEmail;
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      range.setValues(values);
+    }
+  }
+
+  // Chat is keyed by user_id, but rows migrateUserIds has not reached yet still carry the email
+  // as owner and as "{email}_" session_id prefix: move both so the conversations stay resumable
+  const prefix = `${oldEmail}_`;
+  [
+    { name: CHAT_HISTORY_SHEET, sessionCol: 2, ownerCol: 3 },
+    { name: CONVERSATIONS_SHEET, sessionCol: 1, ownerCol: 2 }
+  ].forEach(({ name, sessionCol, ownerCol }) => {
+    const sheet = getSheet(name);
+    const lastChatRow = sheet ? sheet.getLastRow() : 0;
+    if (lastChatRow < 2) return;
+
+    const sessionRange = sheet.getRange(2, sessionCol, lastChatRow - 1, 1);
+    const ownerRange = sheet.getRange(2, ownerCol, lastChatRow - 1, 1);
+    const sessionIds = sessionRange.getValues();
+    const owners = ownerRange.getValues();
+    let changed = false;
+
+    owners.forEach((row, i) => {
+      if (row[0] !== oldEmail) return;
+
+      const sessionId = String(sessionIds[i][0]);
+      if (sessionId.indexOf(prefix) === 0) {
+        sessionIds[i][0] = `${newEmail}_${sessionId.substring(prefix.length)}`;
+      }
+      row[0] = newEmail;
+      changed = true;
+    });
+
+    if (changed) {
+      sessionRange.setValues(sessionIds);
+      ownerRange.setValues(owners);
+    }
+  });
+}
+
+/**
+ * Update user field
+ */
+function updateUserField(email, field, value) {
+  const user = findUserByEmail(email);
+  if (!user) return;
+
+  const sheet = getSheet(USERS_SHEET);
+  const colMap = {
+    'email': 1,
+    'username': 2,
+    'password_hash': 3,
+    'salt': 4,
+    'created_at': 5,
+    'verified': 6,
+    'verify_token': 7,
+    'reset_token': 8,
+    'reset_token_expires': 9,
+    'updated_at': 10,
+    'totp_secret': 11,
+    'totp_enabled': 12,
+    'recovery_codes': 13,
+    'verify_token_expires': 14,
+    'pending_email': 15,
+    'email_change_token': 16,
+    'email_change_expires': 17,
+    // user_id (18) is immutable and deliberately not updatable
+    'deletion_scheduled_at': 19,
+    'display_name': 20,
+    'language': 21,
+    'avatar_url': 22,
+    'role': 23,
+    'disabled': 24
+  };
+
+  const col = colMap[field];
+  if (col) {
+    sheet.getRange(user.row, col).setValue(value);
+  }
+}
+
+/**
+ * Find session by token
+ */
+function findSessionByToken(token) {
+  const sheet = getSheet(SESSIONS_SHEET);
+  const data = sheet.getDataRange().getValues();
+  const tokenHash = hashToken(token);
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0] && matchStoredToken(data[i][0], token, tokenHash, () => sheet.getRange(i + 1, 1).setValue(tokenHash))) {
+      return {
+        row: i + 1,
+        token_hash: tokenHash,
+        user_email: data[i][1],
+        created_at: data[i][2],
+        expires_at: data[i][3],
+        last_seen_at: data[i][4],
+        user_agent: data[i][5],
+        id: data[i][6]
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get all session rows of a user
+ */
+function getSessionsForUser(email) {
+  const sheet = getSheet(SESSIONS_SHEET);
+  const data = sheet.getDataRange().getValues();
+  const sessions = [];
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][1] === email) {
+      sessions.push({
+        row: i + 1,
+        user_email: data[i][1],
+        created_at: data[i][2],
+        expires_at: data[i][3],
+        last_seen_at: data[i][4],
+        user_agent: data[i][5],
+        id: data[i][6]
+      });
+    }
+  }
+  return sessions;
+}
+
+/**
+ * Create a session for a user
+ * Returns the plaintext token (only its hash is stored) and expiry
+ */
+function createSession(email, userAgent) {
+  const token = generateToken(64);
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_DURATION_DAYS * 24 * 60 * 60 * 1000);
+
+  const sessionData = [
+    hashToken(token),                          // A: token (hashed)
+    email,                                     // B: user_email
+    now.toISOString(),                         // C: created_at
+    expiresAt.toISOString(),                   // D: expires_at
+    now.toISOString(),                         // E: last_seen_at
+    String(userAgent || '').substring(0, 255), // F: user_agent
+    Utilities.getUuid()                        // G: id
+  ];
+
+  const sheet = getSheet(SESSIONS_SHEET);
+  sheet.appendRow(sessionData);
+
+  return { token: token, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Finish a sign-in once every factor has been checked: the single place that hands out a session
+ * Disabled accounts are turned away here too, whichever way they got this far
+ * Signing in during the grace period cancels a scheduled deletion
+ */
+function completeSignIn(user, userAgent) {
+  if (user.disabled === true) {
+    return { error: 'This account has been disabled', code: 'ACCOUNT_DISABLED' };
+  }
+
+  if (user.deletion_scheduled_at) {
+    updateUserField(user.email, 'deletion_scheduled_at', '');
+  }
+
+  const { token, expiresAt } = createSession(user.email, userAgent);
+
+  return {
+    success: true,
+    token: token,
+    expiresAt: expiresAt,
+    user: toPublicUser(user)
+  };
+}
+
+/**
+ * Compute the sliding expiry for a session: now + SESSION_DURATION_DAYS,
+ * capped at created_at + SESSION_MAX_LIFETIME_DAYS
+ */
+function computeSessionExpiry(session) {
+  const slidingExpiry = Date.now() + SESSION_DURATION_DAYS * 24 * 60 * 60 * 1000;
+  const maxExpiry = new Date(session.created_at).getTime() + SESSION_MAX_LIFETIME_DAYS * 24 * 60 * 60 * 1000;
+  return new Date(Math.min(slidingExpiry, maxExpiry)).toISOString();
+}
+
+/**
+ * Push a session's expires_at forward (written at most once per hour)
+ * Returns the effective expiry
+ */
+function slideSessionExpiry(session) {
+  const newExpiry = computeSessionExpiry(session);
+
+  if (new Date(newExpiry) - new Date(session.expires_at) > 60 * 60 * 1000) {
+    getSheet(SESSIONS_SHEET).getRange(session.row, 4).setValue(newExpiry);
+    return newExpiry;
+  }
+
+  return new Date(session.expires_at).toISOString();
+}
+
+/**
+ * Check whether a session can still be refreshed
+ * (not past its grace period and not past its maximum lifetime)
+ */
+function isSessionRefreshable(session) {
+  const now = Date.now();
+  const graceEnd = new Date(session.expires_at).getTime() + SESSION_REFRESH_GRACE_HOURS * 60 * 60 * 1000;
+  const lifetimeEnd = new Date(session.created_at).getTime() + SESSION_MAX_LIFETIME_DAYS * 24 * 60 * 60 * 1000;
+  return now < graceEnd && now < lifetimeEnd;
+}
+
+/**
+ * Update last_seen_at of a session (throttled to avoid a write per request)
+ */
+function touchSession(session) {
+  const lastSeen = session.last_seen_at ? new Date(session.last_seen_at) : null;
+  const now = new Date();
+
+  if (!lastSeen || now - lastSeen > SESSION_LAST_SEEN_INTERVAL_MINUTES * 60 * 1000) {
+    getSheet(SESSIONS_SHEET).getRange(session.row, 5).setValue(now.toISOString());
+  }
+}
+
+/**
+ * Delete session rows matching a predicate
+ * Rows are deleted bottom-up so indexes stay valid
+ */
+function deleteSessionRows(predicate) {
+  const sheet = getSheet(SESSIONS_SHEET);
+  const data = sheet.getDataRange().getValues();
+  let deleted = 0;
+
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (predicate(data[i])) {
+      sheet.deleteRow(i + 1);
+      deleted++;
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Delete session
+ */
+function deleteSession(token) {
+  const session = findSessionByToken(token);
+  if (session) {
+    const sheet = getSheet(SESSIONS_SHEET);
+    sheet.deleteRow(session.row);
+  }
+}
+
+/**
+ * Resolve the stable user_id of a session's owner
+ */
+function getSessionUserId(session) {
+  const user = findUserByEmail(session.user_email);
+  return user ? user.user_id : null;
+}
+
+/**
+ * Remove a user and every row they own
+ */
+function deleteUserData(user) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+
+  try {
+    deleteSessionRows(row => row[1] === user.email);
+
+    if (user.user_id) {
+      deleteChatRows(row => row[2] === user.user_id);
+      deleteFeedbackRows(row => row[3] === user.user_id);
+
+      transferOwnedWorkspaces(user.user_id);
+
+      getMemberships()
+        .filter(m => m.user_id === user.user_id && m.status === 'active')
+        .forEach(m => updateMembership(m.row, { status: 'removed' }));
+
+      // Invitations they sent can no longer be accepted
+      getMemberships()
+        .filter(m => m.invited_by === user.user_id && m.status === 'pending')
+        .forEach(m => updateMembership(m.row, { status: 'removed', invite_token: '' }));
+
+      const conversationsSheet = getSheet(CONVERSATIONS_SHEET);
+      const conversations = conversationsSheet.getDataRange().getValues();
+      for (let i = conversations.length - 1; i >= 1; i--) {
+        // Workspace conversations stay with their workspace
+        if (conversations[i][1] === user.user_id && !conversations[i][7]) {
+          conversationsSheet.deleteRow(i + 1);
+        }
+      }
+    }
+
+    // Re-read the row number: it may have moved since the user was loaded
+    const current = findUserByEmail(user.email);
+    if (current) {
+      getSheet(USERS_SHEET).deleteRow(current.row);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Check that a chat session id may be used in a scope (to send, store or sign messages under it)
+ * A session with no messages yet must carry the caller's "{userId}_" prefix; an existing one is
+ * usable only if every stored message belongs to the same scope: the caller's personal chat, or the workspace
+ * @returns {Object|null} { error } or null when allowed
+ */
+function checkChatSessionAccess(scope, sessionId) {
+  const rows = getSheet(CHAT_HISTORY_SHEET).getDataRange().getValues().slice(1)
+    .filter(row => row[1] === sessionId);
+
+  const allowed = rows.length === 0
+    ? String(sessionId).indexOf(`${scope.userId}_`) === 0
+    : rows.every(row => rowInChatScope(row, scope));
+
+  return allowed ? null : { error: 'Session does not belong to current user' };
+}
+
+/**
+ * Resolve which chat rows a request may see
+ * Without a workspace: the user's personal rows. With one: every row of that workspace (members only)
+ */
+function resolveChatScope(userId, workspaceId) {
+  if (!workspaceId) {
+    return { userId: userId, workspaceId: null };
+  }
+
+  if (!findActiveMembership(workspaceId, userId)) {
+    return { error: 'Workspace not found' };
+  }
+
+  return { userId: userId, workspaceId: workspaceId };
+}
+
+/**
+ * Check if a chat_history row belongs to a scope
+ */
+function rowInChatScope(row, scope) {
+  if (scope.workspaceId) {
+    return row[6] === scope.workspaceId;
+  }
+  return row[2] === scope.userId && !row[6];
+}
+
+/**
+ * Get all chat_history rows of a scope
+ */
+function getChatRowsForScope(scope) {
+  const sheet = getSheet(CHAT_HISTORY_SHEET);
+  const data = sheet.getDataRange().getValues();
+
+  return data.slice(1).filter(row => rowInChatScope(row, scope));
+}
+
+/**
+ * Get all chat_history rows belonging to a user
+ */
+function getChatRowsForUser(userId) {
+  const sheet = getSheet(CHAT_HISTORY_SHEET);
+  const data = sheet.getDataRange().getValues();
+
+  return data.slice(1).filter(row => row[2] === userId);
+}
+
+/**
+ * Convert a chat_history row to a message object
+ */
+function chatRowToMessage(row) {
+  return {
+    id: row[0],
+    session_id: row[1],
+    user_id: row[2],
+    message_type: row[3],
+    content: row[4],
+    created_at: row[5],
+    workspace_id: row[6] || null
+  };
+}
+
+/**
+ * Build conversation summaries (without messages) from chat rows
+ * Titles, pinned and archived flags come from the conversations sheet
+ */
+function buildConversationSummaries(rows, metaMap) {
+  const sessionsMap = {};
+
+  rows.forEach(row => {
+    const sessionId = row[1];
+
+    if (!sessionsMap[sessionId]) {
+      sessionsMap[sessionId] = {
+        sessionId: sessionId,
+        firstHuman: null,
+        totalMessages: 0,
+        humanMessages: 0,
+        aiMessages: 0,
+        createdAt: row[5],
+        lastMessageAt: row[5]
+      };
+    }
+
+    const conv = sessionsMap[sessionId];
+    conv.totalMessages++;
+
+    if (row[3] === 'human') {
+      conv.humanMessages++;
+      if (!conv.firstHuman) conv.firstHuman = String(row[4]);
+    } else if (row[3] === 'ai') {
+      conv.aiMessages++;
+    }
+
+    if (new Date(row[5]) < new Date(conv.createdAt)) conv.createdAt = row[5];
+    if (new Date(row[5]) > new Date(conv.lastMessageAt)) conv.lastMessageAt = row[5];
+  });
+
+  const summaries = Object.values(sessionsMap).map(conv => {
+    const meta = (metaMap && metaMap[conv.sessionId]) || {};
+
+    return {
+      sessionId: conv.sessionId,
+      title: meta.title || (conv.firstHuman ? conv.firstHuman.substring(0, 50) : 'Conversacion'),
+      preview: conv.firstHuman ? conv.firstHuman.substring(0, 100) : '',
+      pinned: meta.pinned === true,
+      archived: meta.archived === true,
+      totalMessages: conv.totalMessages,
+      humanMessages: conv.humanMessages,
+      aiMessages: conv.aiMessages,
+      createdAt: conv.createdAt,
+      lastMessageAt: conv.lastMessageAt
+    };
+  });
+
+  // Sort pinned first, then by most recent activity
+  summaries.sort((a, b) => {
+    if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+    return new Date(b.lastMessageAt) - new Date(a.lastMessageAt);
+  });
+
+  return summaries;
+}
+
+/**
+ * Check whether a conversation exists in a scope (personal or workspace) and has not been deleted
+ */
+function conversationInScope(scope, sessionId) {
+  const meta = findConversationMeta(scope, sessionId);
+  if (meta && meta.deleted_at) {
+    return false;
+  }
+
+  return getChatRowsForScope(scope).some(row => row[1] === sessionId);
+}
+
+/**
+ * Get the user who wrote the first message of a conversation in a scope
+ */
+function getConversationStarter(scope, sessionId) {
+  const rows = getChatRowsForScope(scope)
+    .filter(row => row[1] === sessionId)
+    .sort((a, b) => new Date(a[5]) - new Date(b[5]));
+  return rows.length > 0 ? rows[0][2] : null;
+}
+
+/**
+ * Delete chat_history rows matching a predicate
+ * Rows are deleted bottom-up so indexes stay valid
+ */
+function deleteChatRows(predicate) {
+  const sheet = getSheet(CHAT_HISTORY_SHEET);
+  const data = sheet.getDataRange().getValues();
+  let deleted = 0;
+
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (predicate(data[i])) {
+      sheet.deleteRow(i + 1);
+      deleted++;
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Check whether a conversations row holds the metadata of a scope
+ * Workspace rows are shared by every member; personal rows belong to their user only
+ */
+function conversationMetaRowInScope(row, scope) {
+  if (scope.workspaceId) {
+    return row[7] === scope.workspaceId;
+  }
+  return row[1] === scope.userId && !row[7];
+}
+
+/**
+ * Find conversation metadata by session id within a scope
+ */
+function findConversationMeta(scope, sessionId) {
+  const sheet = getSheet(CONVERSATIONS_SHEET);
+  const data = sheet.getDataRange().getValues();
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0] === sessionId && conversationMetaRowInScope(data[i], scope)) {
+      return {
+        row: i + 1,
+        session_id: data[i][0],
+        user_id: data[i][1],
+        title: data[i][2],
+        pinned: data[i][3],
+        archived: data[i][4],
+        deleted_at: data[i][5],
+        updated_at: data[i][6],
+        workspace_id: data[i][7]
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get metadata of all a user's personal conversations keyed by session id
+ */
+function getConversationMetaMap(userId) {
+  return getConversationMetaMapForScope({ userId: userId, workspaceId: null });
+}
+
+/**
+ * Get conversation metadata for a scope
+ * Workspace conversations share their titles and flags with every member
+ */
+function getConversationMetaMapForScope(scope) {
+  const sheet = getSheet(CONVERSATIONS_SHEET);
+  const data = sheet.getDataRange().getValues();
+  const map = {};
+
+  for (let i = 1; i < data.length; i++) {
+    if (conversationMetaRowInScope(data[i], scope) && !data[i][5]) {
+      map[data[i][0]] = {
+        title: data[i][2],
+        pinned: data[i][3],
+        archived: data[i][4]
+      };
+    }
+  }
+  return map;
+}
+
+/**
+ * Find a chat_history row by message id
+ */
+function findChatRowById(messageId) {
+  const sheet = getSheet(CHAT_HISTORY_SHEET);
+  const data = sheet.getDataRange().getValues();
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0] === messageId) {
+      return data[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the sheet row number of a chat_history message
+ */
+function findChatRowNumber(messageId) {
+  const sheet = getSheet(CHAT_HISTORY_SHEET);
+  const ids = sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), 1).getValues();
+
+  for (let i = 1; i < ids.length; i++) {
+    if (ids[i][0] === messageId) {
+      return i + 1;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the AI row that answers a message (chatProxy only)
+ */
+function findChatReplyRow(messageId) {
+  const sheet = getSheet(CHAT_HISTORY_SHEET);
+  const data = sheet.getDataRange().getValues();
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][9] === messageId) {
+      return data[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the chatProxy response from the stored rows
+ */
+function buildChatProxyResult(humanRow, replyRow) {
+  if (!replyRow) {
+    return { error: 'The assistant could not answer. Please try again.', code: 'ASSISTANT_ERROR' };
+  }
+
+  return {
+    success: true,
+    message: { id: humanRow[0], created_at: humanRow[5] },
+    reply: { id: replyRow[0], content: replyRow[4], created_at: replyRow[5] },
+    latencyMs: replyRow[8]
+  };
+}
+
+/**
+ * Send a message to the n8n chat webhook and read the full reply
+ * @returns {Object} { reply } or { error }
+ */
+function relayToN8n(sessionId, text, userId, workspaceId) {
+  const assertion = createChatAssertion(userId, sessionId, workspaceId);
+
+  const payload = {
+    action: 'sendMessage',
+    sessionId: sessionId,
+    chatInput: text,
+    assertion: assertion ? assertion.value : null,
+    metadata: {
+      userId: userId,
+      workspaceId: workspaceId || null,
+      timestamp: new Date().toISOString()
+    }
+  };
+
+  try {
+    const response = UrlFetchApp.fetch(N8N_WEBHOOK_URL, {
+      method: 'post',
+      contentType: 'application/json',
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true
+    });
+
+    const statusCode = response.getResponseCode();
+    if (statusCode >= 400) {
+      return { error: 'n8n responded with status ' + statusCode };
+    }
+
+    return parseN8nReply(response.getContentText());
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Extract the reply text from an n8n response
+ * Handles the streaming NDJSON format ("item" frames) and the plain JSON formats the chat widget accepts
+ * An "error" frame fails the whole reply, even after some content: a cut-off answer is not stored as one
+ * @returns {Object} { reply } or { error }
+ */
+function parseN8nReply(body) {
+  const lines = String(body || '').split('\n').filter(line => line.trim());
+  let streamed = '';
+  let streamError = null;
+
+  lines.forEach(line => {
+    let frame;
+    try {
+      frame = JSON.parse(line);
+    } catch (e) {
+      return;
+    }
+
+    if (frame && frame.type === 'item' && frame.content) {
+      streamed += frame.content;
+    } else if (frame && frame.type === 'error') {
+      streamError = frame.content || 'Error from n8n';
+    }
+  });
+
+  if (streamError) {
+    return { error: 'n8n stream error: ' + streamError };
+  }
+
+  if (streamed) {
+    return { reply: streamed };
+  }
+
+  let reply;
+  try {
+    let data = JSON.parse(body);
+    if (Array.isArray(data)) data = data[0] || {};
+    reply = typeof data === 'string' ? data : data && (data.output || data.response || data.message || data.text);
+  } catch (e) {
+    reply = String(body || '').trim();
+  }
+
+  return reply ? { reply: reply } : { error: 'Empty reply from n8n' };
+}
+
+/**
+ * Get all message_feedback rows
+ */
+function getFeedbackRows() {
+  const sheet = getSheet(MESSAGE_FEEDBACK_SHEET);
+  const data = sheet.getDataRange().getValues();
+
+  return data.slice(1);
+}
+
+/**
+ * Get the message_feedback rows of a chat scope (same rules as rowInChatScope)
+ */
+function getFeedbackRowsForScope(scope) {
+  return getFeedbackRows().filter(row => feedbackRowInScope(row, scope));
+}
+
+/**
+ * Check if a message_feedback row belongs to a scope
+ */
+function feedbackRowInScope(row, scope) {
+  if (scope.workspaceId) {
+    return row[8] === scope.workspaceId;
+  }
+  return row[3] === scope.userId && !row[8];
+}
+
+/**
+ * Map message id -> the user's feedback on it
+ */
+function getFeedbackMapForUser(userId) {
+  const map = {};
+
+  getFeedbackRows().forEach(row => {
+    if (row[3] === userId) {
+      map[row[1]] = { rating: row[4], comment: row[5] || '' };
+    }
+  });
+
+  return map;
+}
+
+/**
+ * Convert a message_feedback row to an object
+ */
+function feedbackRowToObject(row) {
+  return {
+    message_id: row[1],
+    session_id: row[2],
+    rating: row[4],
+    comment: row[5] || '',
+    created_at: row[6],
+    updated_at: row[7]
+  };
+}
+
+/**
+ * Delete message_feedback rows matching a predicate
+ */
+function deleteFeedbackRows(predicate) {
+  const sheet = getSheet(MESSAGE_FEEDBACK_SHEET);
+  const data = sheet.getDataRange().getValues();
+
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (predicate(data[i])) {
+      sheet.deleteRow(i + 1);
+    }
+  }
+}
+
+/**
+ * Summarize feedback rows: overall satisfaction and weekly rate for the last SATISFACTION_WEEKS weeks
+ * Rates are the share of thumbs up (0-100), null when there is no feedback
+ */
+function buildSatisfactionStats(rows) {
+  const rateOf = (up, total) => total > 0 ? Math.round((up / total) * 100) : null;
+  const weekMs = 7 * 24 * 60 * 60 * 1000;
+  const now = Date.now();
+
+  const weeks = [];
+  for (let i = SATISFACTION_WEEKS - 1; i >= 0; i--) {
+    const start = new Date(now - (i + 1) * weekMs);
+    weeks.push({ label: start.toISOString().split('T')[0], start: start.getTime(), up: 0, down: 0 });
+  }
+
+  let positive = 0;
+  let negative = 0;
+
+  rows.forEach(row => {
+    const isUp = row[4] === 'up';
+    if (isUp) positive++;
+    else negative++;
+
+    const time = new Date(row[6]).getTime();
+    const week = weeks.find(w => time >= w.start && time < w.start + weekMs);
+    if (week) {
+      if (isUp) week.up++;
+      else week.down++;
+    }
+  });
+
+  return {
+    positive: positive,
+    negative: negative,
+    rate: rateOf(positive, positive + negative),
+    byWeek: weeks.map(w => ({ label: w.label, up: w.up, down: w.down, rate: rateOf(w.up, w.up + w.down) }))
+  };
+}
+
+/**
+ * Get all membership rows
+ */
+function getMemberships() {
+  const sheet = getSheet(MEMBERSHIPS_SHEET);
+  const data = sheet.getDataRange().getValues();
+
+  return data.slice(1).map((row, i) => ({
+    row: i + 2,
+    id: row[0],
+    workspace_id: row[1],
+    user_id: row[2],
+    email: row[3],
+    role: row[4],
+    status: row[5],
+    invite_token: row[6],
+    invited_by: row[7],
+    created_at: row[8],
+    updated_at: row[9]
+  }));
+}
+
+/**
+ * Find the active membership of a user in a workspace
+ */
+function findActiveMembership(workspaceId, userId) {
+  if (!workspaceId || !userId) return null;
+
+  return getMemberships().find(m =>
+    m.workspace_id === workspaceId && m.user_id === userId && m.status === 'active'
+  ) || null;
+}
+
+/**
+ * Update membership fields
+ */
+function updateMembership(row, fields) {
+  const sheet = getSheet(MEMBERSHIPS_SHEET);
+  const colMap = {
+    'user_id': 3,
+    'role': 5,
+    'status': 6,
+    'invite_token': 7
+  };
+
+  Object.keys(fields).forEach(field => {
+    const col = colMap[field];
+    if (col) {
+      sheet.getRange(row, col).setValue(fields[field]);
+    }
+  });
+
+  sheet.getRange(row, 10).setValue(new Date().toISOString());
+}
 
-  for (let i = 1; i < allData.length; i++) {
-    const row = allData[i];
-    if (row[2] === session.user_email && row[5]) {
-      const date = new Date(row[5]);
-      if (!firstMessageDate || date < new Date(firstMessageDate)) {
-        firstMessageDate = row[5];
+/**
+ * Check if a pending invitation is too old to be used
+ */
+function isInvitationExpired(membership) {
+  const expires = new Date(membership.created_at).getTime() + INVITATION_DURATION_DAYS * 24 * 60 * 60 * 1000;
+  return expires < Date.now();
+}
+
+/**
+ * Normalize an email for invitations, which are matched against whatever case the user signed up with
+ */
+function normalizeInviteEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Map of workspace id to name
+ */
+function getWorkspaceNames() {
+  const sheet = getSheet(WORKSPACES_SHEET);
+  const data = sheet.getDataRange().getValues();
+  const names = {};
+
+  for (let i = 1; i < data.length; i++) {
+    names[data[i][0]] = data[i][1];
+  }
+  return names;
+}
+
+/**
+ * Hand every workspace a user owns to its oldest admin, or else its oldest member
+ * Workspaces nobody else belongs to are removed along with their chat history, conversation metadata and invitations
+ * Callers must hold the script lock
+ */
+function transferOwnedWorkspaces(userId) {
+  const memberships = getMemberships();
+  const sheet = getSheet(WORKSPACES_SHEET);
+  const data = sheet.getDataRange().getValues();
+  const removed = {};
+
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (data[i][2] !== userId) continue;
+
+    const workspaceId = data[i][0];
+    const successor = memberships
+      .filter(m => m.workspace_id === workspaceId && m.status === 'active' && m.user_id !== userId)
+      .sort((a, b) => {
+        if (a.role !== b.role) return a.role === 'admin' ? -1 : 1;
+        return new Date(a.created_at) - new Date(b.created_at);
+      })[0];
+
+    if (successor) {
+      updateMembership(successor.row, { role: 'owner' });
+      sheet.getRange(i + 1, 3).setValue(successor.user_id);
+    } else {
+      sheet.deleteRow(i + 1);
+      removed[workspaceId] = true;
+    }
+  }
+
+  if (Object.keys(removed).length === 0) return;
+
+  memberships
+    .filter(m => removed[m.workspace_id] && m.status === 'pending')
+    .forEach(m => updateMembership(m.row, { status: 'removed', invite_token: '' }));
+  deleteChatRows(row => removed[row[6]] === true);
+  deleteFeedbackRows(row => removed[row[8]] === true);
+
+  const conversationsSheet = getSheet(CONVERSATIONS_SHEET);
+  const conversations = conversationsSheet.getDataRange().getValues();
+  for (let i = conversations.length - 1; i >= 1; i--) {
+    if (removed[conversations[i][7]] === true) {
+      conversationsSheet.deleteRow(i + 1);
+    }
+  }
+}
+
+/**
+ * Validate a session and the user's membership in a workspace
+ */
+function getWorkspaceContext(token, workspaceId) {
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  if (!workspaceId) {
+    return { error: 'Workspace ID is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const user = findUserByEmail(session.user_email);
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  const membership = findActiveMembership(workspaceId, user.user_id);
+  if (!membership) {
+    return { error: 'Workspace not found' };
+  }
+
+  return { user: user, membership: membership };
+}
+
+/**
+ * Create or update conversation metadata within a scope
+ */
+function upsertConversationMeta(scope, sessionId, fields) {
+  const sheet = getSheet(CONVERSATIONS_SHEET);
+  const now = new Date().toISOString();
+  const meta = findConversationMeta(scope, sessionId);
+
+  if (!meta) {
+    sheet.appendRow([
+      sessionId,                    // A: session_id
+      scope.userId,                 // B: user_id
+      fields.title || '',           // C: title
+      fields.pinned === true,       // D: pinned
+      fields.archived === true,     // E: archived
+      fields.deleted_at || '',      // F: deleted_at
+      now,                          // G: updated_at
+      scope.workspaceId || ''       // H: workspace_id
+    ]);
+    return;
+  }
+
+  const colMap = {
+    'title': 3,
+    'pinned': 4,
+    'archived': 5,
+    'deleted_at': 6
+  };
+
+  Object.keys(fields).forEach(field => {
+    const col = colMap[field];
+    if (col) {
+      sheet.getRange(meta.row, col).setValue(fields[field]);
+    }
+  });
+  sheet.getRange(meta.row, 7).setValue(now);
+}
+
+/**
+ * Bring a deleted conversation back when messages are saved to it again (an old tab, an outbox retry)
+ * so it can be managed like any other; it starts over without its previous title and flags
+ * Callers must hold the script lock
+ */
+function clearConversationTombstone(scope, sessionId) {
+  const meta = findConversationMeta(scope, sessionId);
+  if (!meta || !meta.deleted_at) return;
+
+  // C to G: title, pinned, archived, deleted_at, updated_at
+  getSheet(CONVERSATIONS_SHEET)
+    .getRange(meta.row, 3, 1, 5)
+    .setValues([['', false, false, '', new Date().toISOString()]]);
+}
+
+/**
+ * Build a snippet around the first match of needle in content
+ * Returns the snippet and the [start, end) offsets of every match inside it
+ */
+function buildSearchSnippet(content, needle) {
+  const lower = content.toLowerCase();
+  const firstIndex = lower.indexOf(needle);
+
+  const start = Math.max(firstIndex - SEARCH_SNIPPET_RADIUS, 0);
+  const end = Math.min(firstIndex + needle.length + SEARCH_SNIPPET_RADIUS, content.length);
+  const snippet = content.substring(start, end);
+
+  const highlights = [];
+  const snippetLower = snippet.toLowerCase();
+  let index = snippetLower.indexOf(needle);
+  while (index !== -1) {
+    highlights.push({ start: index, end: index + needle.length });
+    index = snippetLower.indexOf(needle, index + needle.length);
+  }
+
+  return {
+    snippet: snippet,
+    highlights: highlights,
+    truncatedStart: start > 0,
+    truncatedEnd: end < content.length
+  };
+}
+
+// ============== TWO-FACTOR HELPERS ==============
+
+/**
+ * Create a short-lived login challenge for the second step
+ */
+function createTwoFactorChallenge(email, userAgent) {
+  const challengeToken = generateToken(48);
+  const challenge = { email: email, userAgent: userAgent || '', attempts: 0 };
+
+  CacheService.getScriptCache().put(
+    `2fa_challenge_${hashToken(challengeToken)}`,
+    JSON.stringify(challenge),
+    TWO_FACTOR_CHALLENGE_MINUTES * 60
+  );
+
+  return challengeToken;
+}
+
+/**
+ * Generate a random base32 TOTP secret (160 bits)
+ */
+function generateTotpSecret() {
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    Utilities.getUuid() + Utilities.getUuid()
+  );
+  return base32Encode(digest.slice(0, 20));
+}
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ */
+function base32Encode(bytes) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (let i = 0; i < bytes.length; i++) {
+    value = (value << 8) | (bytes[i] & 0xFF);
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += alphabet[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string to bytes
+ */
+function base32Decode(text) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const clean = String(text).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (let i = 0; i < clean.length; i++) {
+    value = (value << 5) | alphabet.indexOf(clean[i]);
+    bits += 5;
+    if (bits >= 8) {
+      const byte = (value >>> (bits - 8)) & 0xFF;
+      bytes.push(byte > 127 ? byte - 256 : byte);
+      bits -= 8;
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * Compute the TOTP code for a secret at a given time step
+ */
+function computeTotp(secret, step) {
+  // 8-byte big-endian counter
+  const counter = [];
+  let remaining = step;
+  for (let i = 7; i >= 0; i--) {
+    const byte = remaining & 0xFF;
+    counter[i] = byte > 127 ? byte - 256 : byte;
+    remaining = Math.floor(remaining / 256);
+  }
+
+  const hmac = Utilities.computeHmacSignature(Utilities.MacAlgorithm.HMAC_SHA_1, counter, base32Decode(secret));
+
+  // Dynamic truncation (RFC 4226)
+  const offset = hmac[hmac.length - 1] & 0x0F;
+  const binary = ((hmac[offset] & 0x7F) << 24) |
+    ((hmac[offset + 1] & 0xFF) << 16) |
+    ((hmac[offset + 2] & 0xFF) << 8) |
+    (hmac[offset + 3] & 0xFF);
+
+  return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a TOTP code allowing for clock skew
+ * Each accepted time step can only be used once
+ */
+function verifyTotp(user, code) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!user.totp_secret || !/^\d+$/.test(clean) || clean.length !== TOTP_DIGITS) {
+    return false;
+  }
+
+  const cache = CacheService.getScriptCache();
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let drift = -TOTP_ALLOWED_DRIFT_STEPS; drift <= TOTP_ALLOWED_DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    if (constantTimeEquals(computeTotp(user.totp_secret, step), clean)) {
+      const usedKey = `totp_used_${hashToken(user.email)}_${step}`;
+      if (cache.get(usedKey)) {
+        return false;
       }
-      if (!lastMessageDate || date > new Date(lastMessageDate)) {
-        lastMessageDate = row[5];
+      cache.put(usedKey, '1', TOTP_PERIOD_SECONDS * (2 * TOTP_ALLOWED_DRIFT_STEPS + 1));
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Hash a recovery code for storage (case and dash insensitive)
+ */
+function hashRecoveryCode(code) {
+  return hashToken(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''));
+}
+
+/**
+ * Check a recovery code and remove it so it cannot be reused
+ */
+function consumeRecoveryCode(user, code) {
+  if (!user.recovery_codes || !code) return false;
+
+  const hashes = String(user.recovery_codes).split(',');
+  const index = hashes.indexOf(hashRecoveryCode(code));
+  if (index === -1) return false;
+
+  hashes.splice(index, 1);
+  updateUserField(user.email, 'recovery_codes', hashes.join(','));
+  return true;
+}
+
+// ============== RATE LIMITING ==============
+
+/**
+ * Build a cache key for an attempt counter (null if there is no identifier)
+ * Client identifiers come from the request and cannot be trusted, see the rate limiting settings
+ */
+function rateLimitKey(prefix, identifier) {
+  if (!identifier) return null;
+  return `${prefix}_${hashToken(String(identifier).trim().toLowerCase())}`;
+}
+
+/**
+ * Get attempt counter state from the script cache
+ */
+function getAttemptState(key) {
+  const cached = CacheService.getScriptCache().get(key);
+  if (!cached) {
+    return { count: 0, lockedUntil: 0 };
+  }
+
+  try {
+    return JSON.parse(cached);
+  } catch (e) {
+    return { count: 0, lockedUntil: 0 };
+  }
+}
+
+/**
+ * Record an attempt; locks the key once max attempts is reached
+ * Returns the updated state
+ */
+function recordAttempt(key, maxAttempts, windowMinutes, lockoutMinutes) {
+  const state = getAttemptState(key);
+  state.count++;
+
+  let ttlSeconds = windowMinutes * 60;
+  if (state.count >= maxAttempts) {
+    state.lockedUntil = Date.now() + lockoutMinutes * 60 * 1000;
+    ttlSeconds = lockoutMinutes * 60;
+  }
+
+  CacheService.getScriptCache().put(key, JSON.stringify(state), ttlSeconds);
+  return state;
+}
+
+/**
+ * Reset an attempt counter
+ */
+function clearAttempts(key) {
+  CacheService.getScriptCache().remove(key);
+}
+
+/**
+ * Get the remaining lockout in seconds across several limits (0 if none)
+ */
+function getLockoutRemaining(limits) {
+  const now = Date.now();
+  let remaining = 0;
+
+  limits.forEach(limit => {
+    const state = getAttemptState(limit.key);
+    if (state.lockedUntil > now) {
+      remaining = Math.max(remaining, Math.ceil((state.lockedUntil - now) / 1000));
+    }
+  });
+
+  return remaining;
+}
+
+/**
+ * Record a failed login and build the error response
+ */
+function failedLoginAttempt(limits) {
+  limits.forEach(limit => recordAttempt(limit.key, limit.max, LOGIN_ATTEMPT_WINDOW_MINUTES, LOGIN_LOCKOUT_MINUTES));
+
+  const lockedFor = getLockoutRemaining(limits);
+  if (lockedFor > 0) {
+    return lockoutError(lockedFor);
+  }
+
+  return { error: 'Invalid login credentials' };
+}
+
+/**
+ * Build the lockout error response
+ */
+function lockoutError(retryAfter) {
+  return {
+    error: 'Too many failed login attempts. Account temporarily locked.',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter: retryAfter
+  };
+}
+
+// ============== CHAT ASSERTIONS ==============
+
+/*
+ * Requests to the n8n chat webhook carry an "assertion" field:
+ *   base64url(JSON claims) + "." + hex(HMAC-SHA256(base64url(JSON claims), N8N_SHARED_SECRET))
+ * Claims: uid (user id), sid (chat session id), wid (workspace id or null),
+ *         iat / exp (unix seconds), jti (unique id, each assertion is single use)
+ *
+ * Verify it in the first node of the workflow (Code node, "Run Once for Each Item";
+ * needs NODE_FUNCTION_ALLOW_BUILTIN=crypto and the secret in the N8N_SHARED_SECRET env var):
+ *
+ *   const crypto = require('crypto');
+ *   const body = $json.body || $json;
+ *   const [payload, signature] = String(body.assertion || '').split('.');
+ *   if (!payload || !signature) throw new Error('Missing assertion');
+ *
+ *   const expected = crypto.createHmac('sha256', $env.N8N_SHARED_SECRET).update(payload).digest('hex');
+ *   if (signature.length !== expected.length ||
+ *       !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+ *     throw new Error('Invalid assertion signature');
+ *   }
+ *
+ *   const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+ *   const now = Math.floor(Date.now() / 1000);
+ *   if (claims.exp < now || claims.iat > now + 30) throw new Error('Assertion expired');
+ *   if (claims.sid !== body.sessionId) throw new Error('Assertion is for another chat session');
+ *
+ *   // Replay protection: remember used ids until they expire
+ *   const seen = $getWorkflowStaticData('global').seenAssertions ||= {};
+ *   for (const jti of Object.keys(seen)) if (seen[jti] < now) delete seen[jti];
+ *   if (seen[claims.jti]) throw new Error('Assertion already used');
+ *   seen[claims.jti] = claims.exp;
+ *
+ *   // Trust claims.uid / claims.wid, not body.metadata
+ *   return { json: { ...body, userId: claims.uid, workspaceId: claims.wid } };
+ *
+ * Static data is only persisted for production executions of an active workflow.
+ */
+
+/**
+ * Issue a single-use assertion the browser sends with its next request to the n8n webhook
+ */
+function handleIssueChatAssertion(data) {
+  const { token, sessionId, workspaceId } = data;
+
+  if (!token) {
+    return { error: 'Token is required' };
+  }
+
+  if (!sessionId) {
+    return { error: 'Session ID is required' };
+  }
+
+  const session = findSessionByToken(token);
+  if (!session || new Date(session.expires_at) < new Date()) {
+    return { error: 'Invalid or expired session' };
+  }
+
+  const userId = getSessionUserId(session);
+  if (!userId) {
+    return { error: 'User not found' };
+  }
+
+  const scope = resolveChatScope(userId, workspaceId);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  // n8n keys its memory by sid: only sign sessions the caller may use in this scope
+  const access = checkChatSessionAccess(scope, sessionId);
+  if (access) {
+    return access;
+  }
+
+  const assertion = createChatAssertion(userId, sessionId, scope.workspaceId);
+  if (!assertion) {
+    return { error: 'Chat authentication is not configured' };
+  }
+
+  return { assertion: assertion.value, expiresAt: assertion.expiresAt };
+}
+
+/**
+ * Sign a chat assertion with the shared secret
+ * @returns {Object|null} { value, expiresAt }, or null when N8N_SHARED_SECRET is not set
+ */
+function createChatAssertion(userId, sessionId, workspaceId) {
+  const secret = PropertiesService.getScriptProperties().getProperty(N8N_SECRET_PROPERTY);
+  if (!secret) {
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    uid: userId,
+    sid: sessionId,
+    wid: workspaceId || null,
+    iat: now,
+    exp: now + CHAT_ASSERTION_TTL_SECONDS,
+    jti: Utilities.getUuid()
+  };
+
+  const payload = Utilities.base64EncodeWebSafe(JSON.stringify(claims), Utilities.Charset.UTF_8).replace(/=+$/, '');
+  const signature = bytesToHex(Utilities.computeHmacSha256Signature(payload, secret));
+
+  return {
+    value: payload + '.' + signature,
+    expiresAt: new Date(claims.exp * 1000).toISOString()
+  };
+}
+
+// ============== MIGRATIONS ==============
+
+/**
+ * One-off migration from email-keyed rows to user_id
+ * Run manually from the Apps Script editor. Safe to run more than once:
+ * - backfills users.user_id where it is empty
+ * - rewrites chat_history.user_id and conversations.user_id cells still holding an email
+ * - rewrites "{email}_" session_id prefixes to "{userId}_", including addresses the user has since changed
+ */
+function migrateUserIds() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+
+  try {
+    const usersSheet = getSheet(USERS_SHEET);
+    const lastUserRow = usersSheet.getLastRow();
+    const idsByEmail = {};
+    let backfilled = 0;
+
+    if (lastUserRow >= 2) {
+      const emails = usersSheet.getRange(2, 1, lastUserRow - 1, 1).getValues();
+      const idRange = usersSheet.getRange(2, 18, lastUserRow - 1, 1);
+      const ids = idRange.getValues();
+
+      emails.forEach((row, i) => {
+        if (!row[0]) return;
+        if (!ids[i][0]) {
+          ids[i][0] = generateUserId();
+          backfilled++;
+        }
+        idsByEmail[row[0]] = ids[i][0];
+      });
+
+      idRange.setValues(ids);
+    }
+
+    // session_id and owner columns (1-based) of the email-keyed sheets
+    const rewritten = {};
+    [
+      { name: CHAT_HISTORY_SHEET, sessionCol: 2, ownerCol: 3 },
+      { name: CONVERSATIONS_SHEET, sessionCol: 1, ownerCol: 2 }
+    ].forEach(({ name, sessionCol, ownerCol }) => {
+      const sheet = getSheet(name);
+      const lastRow = sheet ? sheet.getLastRow() : 0;
+      rewritten[name] = 0;
+      if (lastRow < 2) return;
+
+      const sessionRange = sheet.getRange(2, sessionCol, lastRow - 1, 1);
+      const ownerRange = sheet.getRange(2, ownerCol, lastRow - 1, 1);
+      const sessionIds = sessionRange.getValues();
+      const owners = ownerRange.getValues();
+
+      owners.forEach((row, i) => {
+        const userId = idsByEmail[row[0]];
+        if (!userId) return;
+
+        // Match the owner's own email so addresses containing "_" are handled; rows moved by an
+        // earlier email change kept the previous address, which ends at the first "_" after the "@"
+        const prefix = `${row[0]}_`;
+        const sessionId = String(sessionIds[i][0]);
+        const previousPrefix = sessionId.match(LEGACY_EMAIL_SESSION_PREFIX);
+        if (sessionId.indexOf(prefix) === 0) {
+          sessionIds[i][0] = `${userId}_${sessionId.substring(prefix.length)}`;
+        } else if (previousPrefix) {
+          sessionIds[i][0] = `${userId}_${sessionId.substring(previousPrefix[0].length)}`;
+        }
+
+        row[0] = userId;
+        rewritten[name]++;
+      });
+
+      sessionRange.setValues(sessionIds);
+      ownerRange.setValues(owners);
+    });
+
+    const summary = {
+      usersBackfilled: backfilled,
+      chatRowsRewritten: rewritten[CHAT_HISTORY_SHEET],
+      conversationRowsRewritten: rewritten[CONVERSATIONS_SHEET]
+    };
+    Logger.log(JSON.stringify(summary));
+    return summary;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Remove accounts whose deletion grace period is over
+ * Install as a daily time-driven trigger
+ */
+function purgeDeletedAccounts() {
+  const data = getSheet(USERS_SHEET).getDataRange().getValues();
+  const now = new Date();
+  let purged = 0;
+
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (data[i][18] && new Date(data[i][18]) <= now) {
+      const user = findUserByEmail(data[i][0]);
+      if (user) {
+        deleteUserData(user);
+        purged++;
       }
     }
   }
 
+  Logger.log(`Purged ${purged} account(s)`);
+  return purged;
+}
+
+// ============== UTILITY FUNCTIONS ==============
+
+/**
+ * Build the user object returned to the client
+ */
+function toPublicUser(user) {
   return {
-    stats: {
-      totalSessions: sessions.size,
-      totalMessages: humanCount + aiCount,
-      humanMessages: humanCount,
-      aiMessages: aiCount,
-      messagesByDay: last7Days,
-      recentConversations: recentConversations.reverse(),
-      firstMessageDate: firstMessageDate,
-      lastMessageDate: lastMessageDate
-    }
+    email: user.email,
+    username: user.username,
+    id: user.user_id,
+    display_name: user.display_name || '',
+    language: user.language || DEFAULT_LANGUAGE,
+    avatar_url: user.avatar_url || '',
+    role: user.role || ROLES.USER,
+    created_at: user.created_at,
+    two_factor_enabled: user.totp_enabled === true
   };
 }
 
-// ============== DATABASE HELPERS ==============
+/**
+ * Generate an opaque user id
+ * Must not contain "_" because chat session ids are "{userId}_{uuid}"
+ */
+function generateUserId() {
+  return Utilities.getUuid();
+}
 
 /**
- * Get spreadsheet
+ * Generate random token
+ * Uses Utilities.getUuid() (backed by a secure random source) hashed with SHA-256
  */
-function getSpreadsheet() {
-  return SpreadsheetApp.openById(SPREADSHEET_ID);
+function generateToken(length) {
+  let token = '';
+  while (token.length < length) {
+    const digest = Utilities.computeDigest(
+      Utilities.DigestAlgorithm.SHA_256,
+      Utilities.getUuid() + Utilities.getUuid()
+    );
+    token += Utilities.base64EncodeWebSafe(digest).replace(/[^A-Za-z0-9]/g, '');
+  }
+  return token.substring(0, length);
 }
 
 /**
- * Get sheet by name
+ * Hash a token for storage (SHA-256 hex)
+ * Sheets only ever hold token hashes, so a leaked spreadsheet cannot be replayed
  */
-function getSheet(name) {
-  return getSpreadsheet().getSheetByName(name);
+function hashToken(token) {
+  return bytesToHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(token)));
 }
 
 /**
- * Find user by email
+ * Check a stored token cell against a presented token
+ * Cells written before tokens were hashed hold the plaintext: it is accepted once and replaced by its hash.
+ * A value shaped like a hash is never compared as plaintext, so a leaked hash cannot be used as a token
  */
-function findUserByEmail(email) {
-  const sheet = getSheet(USERS_SHEET);
-  const data = sheet.getDataRange().getValues();
+function matchStoredToken(stored, token, tokenHash, rehash) {
+  if (stored === tokenHash) {
+    return true;
+  }
 
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][0] === email) {
-      return {
-        row: i + 1,
-        email: data[i][0],
-        username: data[i][1],
-        password_hash: data[i][2],
-        salt: data[i][3],
-        created_at: data[i][4],
-        verified: data[i][5],
-        verify_token: data[i][6],
-        reset_token: data[i][7],
-        reset_token_expires: data[i][8],
-        updated_at: data[i][9]
-      };
-    }
+  if (TOKEN_HASH_PATTERN.test(String(stored)) || stored !== String(token)) {
+    return false;
   }
-  return null;
+
+  rehash();
+  return true;
 }
 
 /**
- * Find user by verify token
+ * Convert a byte array to a hex string
  */
-function findUserByVerifyToken(token) {
-  const sheet = getSheet(USERS_SHEET);
-  const data = sheet.getDataRange().getValues();
-
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][6] === token) {
-      return {
-        row: i + 1,
-        email: data[i][0],
-        username: data[i][1],
-        verified: data[i][5],
-        verify_token: data[i][6]
-      };
-    }
+function bytesToHex(bytes) {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) {
+    let byteHex = (bytes[i] & 0xFF).toString(16);
+    if (byteHex.length === 1) byteHex = '0' + byteHex;
+    hex += byteHex;
   }
-  return null;
+  return hex;
 }
 
 /**
- * Find user by reset token
+ * Derive a 32-byte key with PBKDF2-HMAC-SHA256
  */
-function findUserByResetToken(token) {
-  const sheet = getSheet(USERS_SHEET);
-  const data = sheet.getDataRange().getValues();
-
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][7] === token) {
-      return {
-        row: i + 1,
-        email: data[i][0],
-        reset_token: data[i][7],
-        reset_token_expires: data[i][8]
-      };
+function pbkdf2Sha256(password, salt, iterations) {
+  const passwordBytes = Utilities.newBlob(password).getBytes();
+
+  // U1 = HMAC(password, salt || INT_32_BE(1))
+  const saltBlock = Utilities.newBlob(salt).getBytes().concat([0, 0, 0, 1]);
+  let u = Utilities.computeHmacSha256Signature(saltBlock, passwordBytes);
+  const derived = u.slice();
+
+  for (let i = 1; i < iterations; i++) {
+    u = Utilities.computeHmacSha256Signature(u, passwordBytes);
+    for (let j = 0; j < derived.length; j++) {
+      derived[j] ^= u[j];
     }
   }
-  return null;
+
+  return derived;
 }
 
 /**
- * Update user field
+ * Hash password with salt using PBKDF2-HMAC-SHA256
+ * Format: pbkdf2_sha256$<iterations>$<hex hash>
  */
-function updateUserField(email, field, value) {
-  const user = findUserByEmail(email);
-  if (!user) return;
-
-  const sheet = getSheet(USERS_SHEET);
-  const colMap = {
-    'email': 1,
-    'username': 2,
-    'password_hash': 3,
-    'salt': 4,
-    'created_at': 5,
-    'verified': 6,
-    'verify_token': 7,
-    'reset_token': 8,
-    'reset_token_expires': 9,
-    'updated_at': 10
-  };
+function hashPassword(password, salt, iterations) {
+  const rounds = iterations || PASSWORD_HASH_ITERATIONS;
+  const hash = bytesToHex(pbkdf2Sha256(password, salt, rounds));
+  return `${PASSWORD_HASH_ALGORITHM}$${rounds}$${hash}`;
+}
 
-  const col = colMap[field];
-  if (col) {
-    sheet.getRange(user.row, col).setValue(value);
-  }
+/**
+ * Legacy hash: single SHA-256 over password + salt (unversioned hex)
+ */
+function legacyHashPassword(password, salt) {
+  const rawHash = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, password + salt);
+  return bytesToHex(rawHash);
 }
 
 /**
- * Find session by token
+ * Verify a password against a stored hash (versioned or legacy)
  */
-function findSessionByToken(token) {
-  const sheet = getSheet(SESSIONS_SHEET);
-  const data = sheet.getDataRange().getValues();
+function verifyPassword(password, salt, storedHash) {
+  const parts = String(storedHash || '').split('$');
 
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][0] === token) {
-      return {
-        row: i + 1,
-        token: data[i][0],
-        user_email: data[i][1],
-        created_at: data[i][2],
-        expires_at: data[i][3]
-      };
-    }
+  let computed;
+  if (parts.length === 3 && parts[0] === PASSWORD_HASH_ALGORITHM) {
+    computed = hashPassword(password, salt, parseInt(parts[1], 10));
+  } else {
+    computed = legacyHashPassword(password, salt);
   }
-  return null;
+
+  return constantTimeEquals(computed, String(storedHash || ''));
 }
 
 /**
- * Delete session
+ * Check whether a stored hash should be upgraded to the current scheme
  */
-function deleteSession(token) {
-  const session = findSessionByToken(token);
-  if (session) {
-    const sheet = getSheet(SESSIONS_SHEET);
-    sheet.deleteRow(session.row);
-  }
+function passwordNeedsRehash(storedHash) {
+  const parts = String(storedHash || '').split('$');
+  return parts.length !== 3 ||
+    parts[0] !== PASSWORD_HASH_ALGORITHM ||
+    parseInt(parts[1], 10) < PASSWORD_HASH_ITERATIONS;
 }
 
-// ============== UTILITY FUNCTIONS ==============
-
 /**
- * Generate random token
+ * Compare two strings without short-circuiting on the first difference
  */
-function generateToken(length) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let token = '';
-  for (let i = 0; i < length; i++) {
-    token += chars.charAt(Math.floor(Math.random() * chars.length));
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
   }
-  return token;
+  return diff === 0;
 }
 
 /**
- * Hash password with salt using SHA-256
+ * Build an HTML page that redirects the browser back to the app
  */
-function hashPassword(password, salt) {
-  const input = password + salt;
-  const rawHash = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, input);
-  let hash = '';
-  for (let i = 0; i < rawHash.length; i++) {
-    let hex = (rawHash[i] & 0xFF).toString(16);
-    if (hex.length === 1) hex = '0' + hex;
-    hash += hex;
-  }
-  return hash;
+function redirectPage(redirectUrl, message) {
+  // Use meta refresh and provide a clickable link as fallback
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="refresh" content="0;url=${redirectUrl}">
+  <title>Redirigiendo...</title>
+  <style>
+    body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background: #f5f5f5; }
+    .container { text-align: center; padding: 40px; background: white; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+    a { color: #6366F1; text-decoration: none; font-weight: bold; }
+    a:hover { text-decoration: underline; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h2>${message}</h2>
+    <p>Redirigiendo...</p>
+    <p>Si no eres redirigido automaticamente, <a href="${redirectUrl}">haz clic aqui</a>.</p>
+  </div>
+</body>
+</html>`;
+
+  return HtmlService.createHtmlOutput(html)
+    .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
 }
 
 /**
@@ -876,6 +4509,8 @@ Gracias por registrarte en Family6 SaaS.
 Por favor confirma tu cuenta haciendo clic en el siguiente enlace:
 ${verifyUrl}
 
+Este enlace expirara en ${VERIFY_TOKEN_DURATION_HOURS} horas.
+
 Si no creaste esta cuenta, puedes ignorar este correo.
 
 Saludos,
@@ -918,3 +4553,142 @@ El equipo de Family6
     body: body
   });
 }
+
+/**
+ * Send passwordless login link email
+ */
+function sendMagicLinkEmail(email, token) {
+  const loginUrl = `${APP_URL}/login.html?magic_token=${token}`;
+
+  const subject = 'Tu enlace de acceso - Family6 SaaS';
+  const body = `
+Hola!
+
+Recibimos una solicitud para iniciar sesion en tu cuenta de Family6 SaaS.
+
+Haz clic en el siguiente enlace para entrar sin contrasena:
+${loginUrl}
+
+Este enlace expirara en ${MAGIC_LINK_DURATION_MINUTES} minutos y solo se puede usar una vez.
+
+Si no solicitaste este enlace, puedes ignorar este correo.
+
+Saludos,
+El equipo de Family6
+  `;
+
+  MailApp.sendEmail({
+    to: email,
+    subject: subject,
+    body: body
+  });
+}
+
+/**
+ * Send email change confirmation to the new address
+ */
+function sendEmailChangeEmail(email, token) {
+  const confirmUrl = `${ScriptApp.getService().getUrl()}?action=confirmEmailChange&token=${token}`;
+
+  const subject = 'Confirma tu nuevo correo - Family6 SaaS';
+  const body = `
+Hola!
+
+Recibimos una solicitud para usar esta direccion en tu cuenta de Family6 SaaS.
+
+Confirma el cambio haciendo clic en el siguiente enlace:
+${confirmUrl}
+
+Este enlace expirara en ${EMAIL_CHANGE_DURATION_HOURS} horas.
+
+Si no solicitaste este cambio, puedes ignorar este correo.
+
+Saludos,
+El equipo de Family6
+  `;
+
+  MailApp.sendEmail({
+    to: email,
+    subject: subject,
+    body: body
+  });
+}
+
+/**
+ * Notify the previous address that the account email changed
+ */
+function sendEmailChangedNotice(oldEmail, newEmail) {
+  const subject = 'Tu correo ha cambiado - Family6 SaaS';
+  const body = `
+Hola!
+
+El correo de tu cuenta de Family6 SaaS se ha cambiado a ${newEmail}.
+
+A partir de ahora deberas iniciar sesion con la nueva direccion.
+
+Si no realizaste este cambio, contacta con nosotros de inmediato.
+
+Saludos,
+El equipo de Family6
+  `;
+
+  MailApp.sendEmail({
+    to: oldEmail,
+    subject: subject,
+    body: body
+  });
+}
+
+/**
+ * Confirm a scheduled account deletion
+ */
+function sendAccountDeletionEmail(email, scheduledAt) {
+  const subject = 'Tu cuenta sera eliminada - Family6 SaaS';
+  const body = `
+Hola!
+
+Hemos recibido tu solicitud para eliminar tu cuenta de Family6 SaaS.
+
+Tu cuenta y todas tus conversaciones se eliminaran definitivamente el ${scheduledAt.toLocaleDateString('es-ES')}.
+
+Si cambias de opinion, inicia sesion antes de esa fecha y la eliminacion se cancelara.
+
+Saludos,
+El equipo de Family6
+  `;
+
+  MailApp.sendEmail({
+    to: email,
+    subject: subject,
+    body: body
+  });
+}
+
+/**
+ * Send a workspace invitation
+ */
+function sendWorkspaceInvitationEmail(email, inviterName, workspaceName, token) {
+  const inviteUrl = `${APP_URL}/invitacion.html?invite_token=${token}`;
+
+  const subject = `Invitacion a ${workspaceName} - Family6 SaaS`;
+  const body = `
+Hola!
+
+${inviterName} te ha invitado a unirte al espacio de trabajo "${workspaceName}" en Family6 SaaS.
+
+Para aceptar o rechazar la invitacion, haz clic en el siguiente enlace:
+${inviteUrl}
+
+Necesitaras iniciar sesion (o registrarte) con esta direccion de correo.
+Esta invitacion expirara en ${INVITATION_DURATION_DAYS} dias.
+
+Saludos,
+El equipo de Family6
+  `;
+
+  MailApp.sendEmail({
+    to: email,
+    subject: subject,
+    body: body
+  });
+}
@@ -6,14 +6,28 @@
 import CONFIG from './config.js';
 
 const STORAGE_KEY = 'family6_session';
+const CLIENT_ID_KEY = 'family6_client_id';
+const WORKSPACE_KEY = 'family6_workspace';
+
+// Renew the session when it expires within this window
+const SESSION_REFRESH_THRESHOLD_MS = 24 * 60 * 60 * 1000;
+
+// Backend errors that mean the session token is no longer usable
+const SESSION_ERRORS = ['Invalid or expired session', 'Session expired', 'Invalid session'];
+
+// Actions that must not trigger a session renewal
+const NO_RENEW_ACTIONS = ['refreshSession', 'logout'];
+
+// Shared in-flight refresh so concurrent requests renew only once
+let refreshPromise = null;
 
 /**
- * Make a request to the Apps Script backend
+ * Send a raw request to the Apps Script backend
  * @param {string} action - The action to perform
  * @param {Object} data - Data to send with the request
  * @returns {Promise<{data: Object, error: Object}>}
  */
-async function apiRequest(action, data = {}) {
+async function sendRequest(action, data = {}) {
     try {
         const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
             method: 'POST',
@@ -30,7 +44,10 @@ async function apiRequest(action, data = {}) {
         const result = await response.json();
 
         if (result.error) {
-            return { data: null, error: { message: result.error } };
+            return {
+                data: null,
+                error: { message: result.error, code: result.code, retryAfter: result.retryAfter }
+            };
         }
 
         return { data: result, error: null };
@@ -40,6 +57,86 @@ async function apiRequest(action, data = {}) {
     }
 }
 
+/**
+ * Refresh the stored session, rotating its token
+ * @returns {Promise<string|null>} New token or null if the session could not be renewed
+ */
+async function refreshStoredSession() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const session = getStoredSession();
+            if (!session?.token) return null;
+
+            const { data, error } = await sendRequest('refreshSession', { token: session.token });
+            if (error || !data?.token) return null;
+
+            saveSession({
+                ...session,
+                token: data.token,
+                user: data.user || session.user,
+                expiresAt: data.expiresAt
+            });
+            return data.token;
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+
+    return refreshPromise;
+}
+
+/**
+ * Make a request to the Apps Script backend
+ * Renews the session proactively when it is about to expire, and retries once
+ * after renewal if the backend rejects the session token
+ * @param {string} action - The action to perform
+ * @param {Object} data - Data to send with the request
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+async function apiRequest(action, data = {}) {
+    const session = getStoredSession();
+    const usesSession = data.token && session?.token === data.token && !NO_RENEW_ACTIONS.includes(action);
+
+    if (!usesSession) {
+        return sendRequest(action, data);
+    }
+
+    let token = data.token;
+
+    if (session.expiresAt && new Date(session.expiresAt).getTime() - Date.now() < SESSION_REFRESH_THRESHOLD_MS) {
+        token = (await refreshStoredSession()) || token;
+    }
+
+    const result = await sendRequest(action, { ...data, token });
+
+    if (result.error && SESSION_ERRORS.includes(result.error.message)) {
+        const newToken = await refreshStoredSession();
+        if (newToken) {
+            return sendRequest(action, { ...data, token: newToken });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Get a stable per-browser client ID (used for best-effort rate limiting; the backend
+ * relies on its per-email limits, since any caller can send a different ID)
+ * @returns {string} Client ID
+ */
+export function getClientId() {
+    let clientId = localStorage.getItem(CLIENT_ID_KEY);
+
+    if (!clientId) {
+        clientId = crypto.randomUUID
+            ? crypto.randomUUID()
+            : Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem(CLIENT_ID_KEY, clientId);
+    }
+
+    return clientId;
+}
+
 /**
  * Save session to localStorage
  * @param {Object} session - Session data (token, user info)
@@ -68,6 +165,28 @@ export function getStoredSession() {
  */
 export function clearSession() {
     localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(WORKSPACE_KEY);
+}
+
+/**
+ * Get the active workspace (null means the personal space)
+ * Chat history, search and stats requests are scoped to it
+ * @returns {string|null} Workspace ID
+ */
+export function getActiveWorkspaceId() {
+    return localStorage.getItem(WORKSPACE_KEY);
+}
+
+/**
+ * Set the active workspace
+ * @param {string|null} workspaceId - Workspace ID, or null for the personal space
+ */
+export function setActiveWorkspaceId(workspaceId) {
+    if (workspaceId) {
+        localStorage.setItem(WORKSPACE_KEY, workspaceId);
+    } else {
+        localStorage.removeItem(WORKSPACE_KEY);
+    }
 }
 
 /**
@@ -97,7 +216,32 @@ export async function signup(email, password, username = '') {
  * @returns {Promise<{data: Object, error: Object}>}
  */
 export async function login(email, password) {
-    const result = await apiRequest('login', { email, password });
+    const result = await apiRequest('login', {
+        email,
+        password,
+        clientId: getClientId(),
+        userAgent: navigator.userAgent
+    });
+
+    if (result.data && result.data.token) {
+        saveSession({
+            token: result.data.token,
+            user: result.data.user,
+            expiresAt: result.data.expiresAt
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Complete a two-factor login
+ * @param {string} challengeToken - Challenge returned by login
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function verifyTwoFactor(challengeToken, code) {
+    const result = await apiRequest('verifyTwoFactor', { challengeToken, code });
 
     if (result.data && result.data.token) {
         saveSession({
@@ -125,6 +269,13 @@ export async function validateSession() {
 
     if (result.error) {
         clearSession();
+    } else if (result.data?.expiresAt) {
+        // Keep the sliding expiry in sync
+        const session = getStoredSession();
+        if (session) {
+            session.expiresAt = result.data.expiresAt;
+            saveSession(session);
+        }
     }
 
     return result;
@@ -151,7 +302,47 @@ export async function logout() {
  * @returns {Promise<{data: Object, error: Object}>}
  */
 export async function requestPasswordReset(email) {
-    return apiRequest('requestReset', { email });
+    return apiRequest('requestReset', { email, clientId: getClientId() });
+}
+
+/**
+ * Resend the account verification email
+ * @param {string} email - User's email
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function resendVerification(email) {
+    return apiRequest('resendVerification', { email, clientId: getClientId() });
+}
+
+/**
+ * Request a passwordless login link
+ * @param {string} email - User's email
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function requestMagicLink(email) {
+    return apiRequest('requestMagicLink', { email, clientId: getClientId() });
+}
+
+/**
+ * Exchange a login link token for a session
+ * @param {string} token - Login link token from email
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function loginWithMagicLink(token) {
+    const result = await apiRequest('exchangeMagicLink', {
+        token,
+        userAgent: navigator.userAgent
+    });
+
+    if (result.data && result.data.token) {
+        saveSession({
+            token: result.data.token,
+            user: result.data.user,
+            expiresAt: result.data.expiresAt
+        });
+    }
+
+    return result;
 }
 
 /**
@@ -191,7 +382,34 @@ export async function updateProfile(fields) {
         return { data: null, error: { message: 'No session token' } };
     }
 
-    return apiRequest('updateProfile', { token, ...fields });
+    const result = await apiRequest('updateProfile', { token, ...fields });
+
+    // Keep the stored session in sync with the new profile
+    if (result.data && result.data.user) {
+        const session = getStoredSession();
+        if (session) {
+            session.user = result.data.user;
+            saveSession(session);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Start an email change (a confirmation is sent to the new address)
+ * @param {string} newEmail - New email address
+ * @param {string} password - Current password
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function requestEmailChange(newEmail, password) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('requestEmailChange', { token, newEmail, password });
 }
 
 /**
@@ -219,25 +437,200 @@ export async function getUser() {
     return result;
 }
 
+/**
+ * Start two-factor enrollment (returns secret and otpauth URI)
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function setupTwoFactor() {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('setupTwoFactor', { token });
+}
+
+/**
+ * Confirm two-factor enrollment (returns recovery codes)
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function enableTwoFactor(code) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('enableTwoFactor', { token, code });
+}
+
+/**
+ * Disable two-factor authentication
+ * @param {string} code - Code from the authenticator app or a recovery code
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function disableTwoFactor(code) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('disableTwoFactor', { token, code });
+}
+
+/**
+ * List active sessions of current user
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function listSessions() {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('listSessions', { token });
+}
+
+/**
+ * Revoke one session of current user
+ * @param {string} sessionId - ID of the session to revoke
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function revokeSession(sessionId) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('revokeSession', { token, sessionId });
+}
+
+/**
+ * Revoke all sessions of current user
+ * @param {boolean} exceptCurrent - Keep the current session open
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function revokeAllSessions(exceptCurrent = false) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    const result = await apiRequest('revokeAllSessions', { token, exceptCurrent });
+
+    if (!result.error && !exceptCurrent) {
+        clearSession();
+    }
+
+    return result;
+}
+
+/**
+ * Delete the current account (may only be scheduled, see deletionScheduledAt)
+ * @param {string} password - Current password
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function deleteAccount(password) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    const result = await apiRequest('deleteAccount', { token, password });
+
+    // Every session of the account is gone either way
+    if (!result.error) {
+        clearSession();
+    }
+
+    return result;
+}
+
+/**
+ * Get a bundle with the profile and all chat messages of the current user
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function exportUserData() {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('exportUserData', { token });
+}
+
 /**
  * Save a chat message to history
+ * Saving again with the same messageId is a no-op on the server, so retries are safe
  * @param {string} sessionId - Chat session ID
  * @param {string} messageType - 'human' or 'ai'
  * @param {string} content - Message content
+ * @param {Object} options - Optional { messageId, workspaceId, createdAt }; workspaceId defaults to the active workspace
  * @returns {Promise<{data: Object, error: Object}>}
  */
-export async function saveChatMessage(sessionId, messageType, content) {
+export async function saveChatMessage(sessionId, messageType, content, options = {}) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    const workspaceId = options.workspaceId !== undefined ? options.workspaceId : getActiveWorkspaceId();
+
+    return apiRequest('saveChatMessage', {
+        token,
+        sessionId,
+        messageType,
+        content,
+        workspaceId,
+        messageId: options.messageId,
+        createdAt: options.createdAt
+    });
+}
+
+/**
+ * Send a chat message through the backend relay to n8n
+ * The backend stores the message and the reply together; resending the same messageId returns the stored reply
+ * @param {string} sessionId - Chat session ID
+ * @param {string} message - User message
+ * @param {string} messageId - Client-generated message ID (UUID)
+ * @returns {Promise<{data: Object, error: Object}>} data: { message, reply: { id, content, created_at }, latencyMs }
+ */
+export async function sendChatMessage(sessionId, message, messageId) {
     const token = getSessionToken();
 
     if (!token) {
         return { data: null, error: { message: 'No session token' } };
     }
 
-    return apiRequest('saveChatMessage', { token, sessionId, messageType, content });
+    return apiRequest('chatProxy', { token, sessionId, message, messageId, workspaceId: getActiveWorkspaceId() });
 }
 
 /**
- * Get chat history for current user
+ * Get a single-use signed assertion for the next request to the n8n webhook
+ * @param {string} sessionId - Chat session ID the request belongs to
+ * @returns {Promise<{data: Object, error: Object}>} data: { assertion, expiresAt }
+ */
+export async function issueChatAssertion(sessionId) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('issueChatAssertion', { token, sessionId, workspaceId: getActiveWorkspaceId() });
+}
+
+/**
+ * Get chat history for current user (or the active workspace)
  * @returns {Promise<{data: Object, error: Object}>}
  */
 export async function getChatHistory() {
@@ -247,7 +640,118 @@ export async function getChatHistory() {
         return { data: null, error: { message: 'No session token' } };
     }
 
-    return apiRequest('getChatHistory', { token });
+    return apiRequest('getChatHistory', { token, workspaceId: getActiveWorkspaceId() });
+}
+
+/**
+ * List conversation summaries for current user or the active workspace (paginated)
+ * @param {string|null} cursor - Cursor returned by the previous page (optional)
+ * @param {number} limit - Maximum number of conversations to return
+ * @param {boolean} includeArchived - Whether to include archived conversations
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function listConversations(cursor = null, limit = 20, includeArchived = false) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('listConversations', { token, cursor, limit, includeArchived, workspaceId: getActiveWorkspaceId() });
+}
+
+/**
+ * Get all messages of a single conversation
+ * @param {string} sessionId - Chat session ID
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function getConversation(sessionId) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('getConversation', { token, sessionId, workspaceId: getActiveWorkspaceId() });
+}
+
+/**
+ * Search chat history of current user
+ * @param {string} query - Text to search for
+ * @param {Object} filters - Optional filters (from, to, messageType)
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function searchChatHistory(query, filters = {}) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('searchChatHistory', { token, query, ...filters, workspaceId: getActiveWorkspaceId() });
+}
+
+/**
+ * Rename a conversation
+ * @param {string} sessionId - Chat session ID
+ * @param {string} title - New title
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function renameConversation(sessionId, title) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('renameConversation', { token, sessionId, title, workspaceId: getActiveWorkspaceId() });
+}
+
+/**
+ * Pin or unpin a conversation
+ * @param {string} sessionId - Chat session ID
+ * @param {boolean} pinned - Whether the conversation is pinned
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function pinConversation(sessionId, pinned = true) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('pinConversation', { token, sessionId, pinned, workspaceId: getActiveWorkspaceId() });
+}
+
+/**
+ * Archive or unarchive a conversation
+ * @param {string} sessionId - Chat session ID
+ * @param {boolean} archived - Whether the conversation is archived
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function archiveConversation(sessionId, archived = true) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('archiveConversation', { token, sessionId, archived, workspaceId: getActiveWorkspaceId() });
+}
+
+/**
+ * Delete a conversation and all its messages
+ * @param {string} sessionId - Chat session ID
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function deleteConversation(sessionId) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('deleteConversation', { token, sessionId, workspaceId: getActiveWorkspaceId() });
 }
 
 /**
@@ -261,25 +765,253 @@ export async function getChatStats() {
         return { data: null, error: { message: 'No session token' } };
     }
 
-    return apiRequest('getChatStats', { token });
+    return apiRequest('getChatStats', { token, workspaceId: getActiveWorkspaceId() });
+}
+
+/**
+ * Rate an AI message
+ * @param {string} messageId - ID returned by saveChatMessage for the AI reply
+ * @param {string|null} rating - 'up', 'down' or null to remove the rating
+ * @param {string} comment - Optional comment
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function saveMessageFeedback(messageId, rating, comment = '') {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('saveMessageFeedback', { token, messageId, rating, comment });
+}
+
+// ============== WORKSPACES ==============
+
+/**
+ * Create a workspace owned by the current user
+ * @param {string} name - Workspace name
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function createWorkspace(name) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('createWorkspace', { token, name });
+}
+
+/**
+ * List the user's workspaces and pending invitations
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function listWorkspaces() {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('listWorkspaces', { token });
+}
+
+/**
+ * List members and pending invitations of a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function listWorkspaceMembers(workspaceId) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('listWorkspaceMembers', { token, workspaceId });
+}
+
+/**
+ * Invite someone to a workspace by email
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} email - Email to invite
+ * @param {string} role - 'member' or 'admin'
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function inviteWorkspaceMember(workspaceId, email, role = 'member') {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('inviteWorkspaceMember', { token, workspaceId, email, role });
+}
+
+/**
+ * Accept or decline a workspace invitation
+ * @param {Object} invitation - { inviteToken } from the email link or { invitationId } from listWorkspaces
+ * @param {boolean} accept - True to accept, false to decline
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function respondWorkspaceInvitation(invitation, accept) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('respondWorkspaceInvitation', { token, ...invitation, accept });
+}
+
+/**
+ * Change the role of a workspace member
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} memberId - Membership ID
+ * @param {string} role - 'member' or 'admin'
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function updateWorkspaceMemberRole(workspaceId, memberId, role) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('updateWorkspaceMemberRole', { token, workspaceId, memberId, role });
+}
+
+/**
+ * Remove a member, cancel an invitation or leave a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} memberId - Membership ID
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function removeWorkspaceMember(workspaceId, memberId) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('removeWorkspaceMember', { token, workspaceId, memberId });
+}
+
+// ============== ADMIN ==============
+
+/**
+ * List all users with their activity (admin only)
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function adminListUsers() {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('adminListUsers', { token });
+}
+
+/**
+ * Mark a user as verified (admin only)
+ * @param {string} userId - Target user ID
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function adminVerifyUser(userId) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('adminVerifyUser', { token, userId });
+}
+
+/**
+ * Disable or re-enable a user (admin only)
+ * @param {string} userId - Target user ID
+ * @param {boolean} disabled - True to disable, false to re-enable
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function adminSetUserDisabled(userId, disabled = true) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('adminSetUserDisabled', { token, userId, disabled });
+}
+
+/**
+ * Delete a user and all their data (admin only)
+ * @param {string} userId - Target user ID
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function adminDeleteUser(userId) {
+    const token = getSessionToken();
+
+    if (!token) {
+        return { data: null, error: { message: 'No session token' } };
+    }
+
+    return apiRequest('adminDeleteUser', { token, userId });
 }
 
 export default {
     apiRequest,
+    getClientId,
     saveSession,
     getStoredSession,
     clearSession,
     getSessionToken,
+    getActiveWorkspaceId,
+    setActiveWorkspaceId,
     signup,
     login,
+    verifyTwoFactor,
     validateSession,
     logout,
     requestPasswordReset,
+    resendVerification,
+    requestMagicLink,
+    loginWithMagicLink,
     resetPasswordWithToken,
     updatePassword,
     updateProfile,
+    requestEmailChange,
     getUser,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+    deleteAccount,
+    exportUserData,
     saveChatMessage,
+    sendChatMessage,
+    issueChatAssertion,
     getChatHistory,
-    getChatStats
+    listConversations,
+    getConversation,
+    searchChatHistory,
+    renameConversation,
+    pinConversation,
+    archiveConversation,
+    deleteConversation,
+    getChatStats,
+    saveMessageFeedback,
+    createWorkspace,
+    listWorkspaces,
+    listWorkspaceMembers,
+    inviteWorkspaceMember,
+    respondWorkspaceInvitation,
+    updateWorkspaceMemberRole,
+    removeWorkspaceMember,
+    adminListUsers,
+    adminVerifyUser,
+    adminSetUserDisabled,
+    adminDeleteUser
 };
@@ -5,6 +5,7 @@
 
 import * as api from './api.js';
 import CONFIG from './config.js';
+import { clearOutbox, retryOutboxNow } from './outbox.js';
 
 // Auth state change callbacks
 const authCallbacks = new Set();
@@ -41,6 +42,11 @@ export async function signIn(email, password) {
 
         if (error) throw error;
 
+        // Two-factor accounts need a second step before a session exists
+        if (data.twoFactorRequired) {
+            return { data, error: null };
+        }
+
         // Notify auth state change
         notifyAuthStateChange('SIGNED_IN', data);
 
@@ -51,12 +57,36 @@ export async function signIn(email, password) {
     }
 }
 
+/**
+ * Complete a two-factor sign in
+ * @param {string} challengeToken - Challenge returned by signIn
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function verifyTwoFactor(challengeToken, code) {
+    try {
+        const { data, error } = await api.verifyTwoFactor(challengeToken, code);
+
+        if (error) throw error;
+
+        // Notify auth state change
+        notifyAuthStateChange('SIGNED_IN', data);
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('Two-factor verification error:', error);
+        return { data: null, error };
+    }
+}
+
 /**
  * Sign out the current user
  * @returns {Promise<{error: Object}>}
  */
 export async function signOut() {
     try {
+        // Unsaved chat messages must not outlive the session on this device
+        clearOutbox();
         await api.logout();
 
         // Notify auth state change
@@ -69,6 +99,28 @@ export async function signOut() {
     }
 }
 
+/**
+ * Sign out the current user on every device
+ * @returns {Promise<{error: Object}>}
+ */
+export async function signOutEverywhere() {
+    try {
+        const { error } = await api.revokeAllSessions();
+
+        if (error) throw error;
+
+        clearOutbox();
+
+        // Notify auth state change
+        notifyAuthStateChange('SIGNED_OUT', null);
+
+        return { error: null };
+    } catch (error) {
+        console.error('Sign out everywhere error:', error);
+        return { error };
+    }
+}
+
 /**
  * Send a password reset email
  * @param {string} email - User's email
@@ -87,6 +139,42 @@ export async function resetPassword(email) {
     }
 }
 
+/**
+ * Resend the account verification email
+ * @param {string} email - User's email
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function resendVerificationEmail(email) {
+    try {
+        const { data, error } = await api.resendVerification(email);
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Send a passwordless login link
+ * @param {string} email - User's email
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function sendMagicLink(email) {
+    try {
+        const { data, error } = await api.requestMagicLink(email);
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('Magic link error:', error);
+        return { data: null, error };
+    }
+}
+
 /**
  * Update user's password (after reset via token)
  * @param {string} newPassword - New password
@@ -134,12 +222,15 @@ export async function getSession() {
             return { data: { session: null }, error: null };
         }
 
+        // Re-read: validation may have renewed and rotated the token
+        const currentSession = api.getStoredSession() || storedSession;
+
         return {
             data: {
                 session: {
-                    token: storedSession.token,
-                    user: data.user || storedSession.user,
-                    expiresAt: storedSession.expiresAt
+                    token: currentSession.token,
+                    user: data.user || currentSession.user,
+                    expiresAt: currentSession.expiresAt
                 }
             },
             error: null
@@ -173,6 +264,11 @@ export async function getUser() {
  * @param {Object} session - Session data
  */
 function notifyAuthStateChange(event, session) {
+    // Chat messages kept while signed out are saved as soon as the user is back
+    if (event === 'SIGNED_IN') {
+        retryOutboxNow();
+    }
+
     authCallbacks.forEach(callback => {
         try {
             callback(event, session);
@@ -199,7 +295,7 @@ export function onAuthStateChange(callback) {
 
 /**
  * Handle auth callback from URL
- * Used on confirm.html and update-password.html
+ * Used on confirm.html, update-password.html and login.html (login links)
  * Now reads query params instead of hash tokens
  * @returns {Promise<{data: Object, error: Object, type: string}>}
  */
@@ -215,15 +311,35 @@ export async function handleAuthCallback() {
             return { data: { confirmed: true }, error: null, type: 'email_confirm' };
         }
 
+        if (success === 'email_changed') {
+            return { data: { emailChanged: true }, error: null, type: 'email_change' };
+        }
+
         if (errorParam) {
             const errorMessages = {
                 'invalid_token': 'El enlace de confirmacion es invalido o ha expirado.',
                 'already_verified': 'Esta cuenta ya fue verificada anteriormente.',
-                'expired': 'El enlace ha expirado. Solicita uno nuevo.'
+                'expired': 'El enlace ha expirado. Solicita uno nuevo.',
+                'email_taken': 'Este correo ya esta registrado en otra cuenta.'
             };
             throw new Error(errorMessages[errorParam] || 'Error en la confirmacion.');
         }
 
+        // Check for passwordless login link
+        const magicToken = urlParams.get('magic_token');
+        if (magicToken) {
+            const { data, error } = await api.loginWithMagicLink(magicToken);
+
+            if (error) throw error;
+
+            // Two-factor accounts still need the second step
+            if (!data.twoFactorRequired) {
+                notifyAuthStateChange('SIGNED_IN', data);
+            }
+
+            return { data, error: null, type: 'magic_link' };
+        }
+
         // Check for reset password token
         const resetToken = urlParams.get('token');
         if (resetToken) {
@@ -257,8 +373,12 @@ export function clearResetToken() {
 export default {
     signUp,
     signIn,
+    verifyTwoFactor,
     signOut,
+    signOutEverywhere,
     resetPassword,
+    resendVerificationEmail,
+    sendMagicLink,
     updatePassword,
     getSession,
     getUser,
@@ -4,13 +4,28 @@
  */
 
 import CONFIG from './config.js';
-import { saveChatMessage } from './api.js';
+import { getConversation, getActiveWorkspaceId, saveMessageFeedback, sendChatMessage, issueChatAssertion } from './api.js';
+import { renderMarkdown } from './markdown.js';
+import { enqueueMessage, getPendingMessages, onOutboxChange, initOutbox, generateMessageId } from './outbox.js';
 
 // Chat state
 let sessionId = null;
 let currentUser = null;
 let isProcessing = false;
 
+// Last relayed message that failed: sending the same text again retries it under the same id,
+// so the backend answers the stored question instead of storing it twice
+let failedProxyMessage = null;
+
+// Webhook assertions are single use; the next one is fetched ahead of time so sending stays fast
+let nextAssertion = null;
+const ASSERTION_MIN_VALIDITY_MS = 15 * 1000;
+
+const FEEDBACK_ICONS = {
+    up: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14 9V5a3 3 0 0 0-3-3l-4 9v11h11.28a2 2 0 0 0 2-1.7l1.38-9a2 2 0 0 0-2-2.3zM7 22H4a2 2 0 0 1-2-2v-7a2 2 0 0 1 2-2h3"/></svg>',
+    down: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10 15v4a3 3 0 0 0 3 3l4-9V2H5.72a2 2 0 0 0-2 1.7l-1.38 9a2 2 0 0 0 2 2.3zm7-13h2.67A2.31 2.31 0 0 1 22 4v7a2.31 2.31 0 0 1-2.33 2H17"/></svg>'
+};
+
 /**
  * Generate a unique session ID
  * @returns {string} UUID
@@ -51,23 +66,86 @@ function getSessionId() {
     return sessionId;
 }
 
+/**
+ * Request a signed assertion for a chat session
+ * @param {string} forSessionId - Chat session ID
+ * @returns {Promise<Object|null>} { value, expiresAt, sessionId } or null on failure
+ */
+async function requestAssertion(forSessionId) {
+    const { data, error } = await issueChatAssertion(forSessionId);
+
+    if (error || !data?.assertion) {
+        console.error('Failed to get chat assertion:', error);
+        return null;
+    }
+
+    return { value: data.assertion, expiresAt: data.expiresAt, sessionId: forSessionId };
+}
+
+/**
+ * Take an assertion for the current chat session, proving to n8n who is sending
+ * @returns {Promise<string|null>} Assertion or null if none could be issued
+ */
+async function takeAssertion() {
+    const currentSessionId = getSessionId();
+
+    let assertion = nextAssertion ? await nextAssertion : null;
+    nextAssertion = null;
+
+    // The prefetched one may belong to another conversation or be about to expire
+    if (!assertion
+        || assertion.sessionId !== currentSessionId
+        || new Date(assertion.expiresAt).getTime() - Date.now() < ASSERTION_MIN_VALIDITY_MS) {
+        assertion = await requestAssertion(currentSessionId);
+    }
+
+    nextAssertion = requestAssertion(currentSessionId);
+
+    return assertion?.value || null;
+}
+
+/**
+ * Parse a single NDJSON line from the n8n stream
+ * @param {string} line - Raw line
+ * @returns {Object|null} Parsed frame or null if not valid JSON
+ */
+function parseStreamLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return null;
+
+    try {
+        return JSON.parse(trimmed);
+    } catch (e) {
+        return null;
+    }
+}
+
 /**
  * Send message to n8n webhook
+ * Reads the streaming NDJSON response incrementally and reports each chunk
  * @param {string} message - User message
- * @returns {Promise<{data: Object, error: Object}>}
+ * @param {Function} onChunk - Called with (chunk, fullContent) for every "item" frame (optional)
+ * @returns {Promise<{data: Object, error: Object}>} On a mid-stream error, data is { output, incomplete: true }
  */
-export async function sendMessage(message) {
+export async function sendMessage(message, onChunk = null) {
     if (!message.trim()) {
         return { data: null, error: { message: 'Message cannot be empty' } };
     }
 
+    const assertion = await takeAssertion();
+    if (!assertion) {
+        return { data: null, error: { message: 'Could not authenticate the chat request' } };
+    }
+
+    // n8n verifies the assertion and takes the user from it; metadata is informational only
     const payload = {
         action: 'sendMessage',
         sessionId: getSessionId(),
         chatInput: message.trim(),
+        assertion,
         metadata: {
             userId: currentUser?.id || 'anonymous',
-            userEmail: currentUser?.email || 'anonymous',
+            workspaceId: getActiveWorkspaceId(),
             timestamp: new Date().toISOString()
         }
     };
@@ -87,49 +165,209 @@ export async function sendMessage(message) {
         }
 
         // n8n returns streaming NDJSON (newline-delimited JSON)
-        const text = await response.text();
-        const lines = text.trim().split('\n');
-
-        // Extract content from all "item" type responses
         let fullContent = '';
-        for (const line of lines) {
-            try {
-                const json = JSON.parse(line);
-                if (json.type === 'item' && json.content) {
-                    fullContent += json.content;
-                } else if (json.type === 'error') {
-                    throw new Error(json.content || 'Error from n8n');
-                }
-            } catch (e) {
-                // Skip invalid JSON lines
+        let rawText = '';
+        let lineCount = 0;
+        let streamError = null;
+
+        const handleLine = (line) => {
+            if (!line.trim()) return;
+            lineCount++;
+
+            const json = parseStreamLine(line);
+            if (!json) return; // Skip invalid JSON lines
+
+            if (json.type === 'item' && json.content) {
+                fullContent += json.content;
+                if (onChunk) onChunk(json.content, fullContent);
+            } else if (json.type === 'error') {
+                streamError = new Error(json.content || 'Error from n8n');
+            }
+            // "begin" and "end" frames only delimit the stream
+        };
+
+        if (response.body && response.body.getReader) {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                const decoded = decoder.decode(value, { stream: true });
+                rawText += decoded;
+                buffer += decoded;
+
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.forEach(handleLine);
             }
+
+            const rest = decoder.decode();
+            rawText += rest;
+            handleLine(buffer + rest);
+        } else {
+            // Fallback for browsers without streaming fetch bodies
+            rawText = await response.text();
+            rawText.split('\n').forEach(handleLine);
+        }
+
+        // An error frame fails the reply even after some content; the partial text comes along for display only
+        if (streamError) {
+            return { data: fullContent ? { output: fullContent, incomplete: true } : null, error: streamError };
         }
 
         // If no streaming content, try to parse as regular JSON
-        if (!fullContent && lines.length === 1) {
+        if (!fullContent && lineCount === 1) {
             try {
-                const data = JSON.parse(lines[0]);
+                const data = JSON.parse(rawText.trim());
                 return { data, error: null };
             } catch (e) {
-                fullContent = text;
+                fullContent = rawText;
             }
         }
 
-        return { data: { output: fullContent || text }, error: null };
+        return { data: { output: fullContent || rawText }, error: null };
     } catch (error) {
         console.error('Chat error:', error);
         return { data: null, error };
     }
 }
 
+/**
+ * Notify the n8n workflow about feedback on a reply (fire and forget)
+ * Sent to the same webhook as messages, distinguished by action: 'feedback'
+ * @param {string} messageId - ID of the rated AI message
+ * @param {Object|null} feedback - { rating, comment } or null when the rating was removed
+ */
+async function sendFeedbackEvent(messageId, feedback) {
+    const assertion = await takeAssertion();
+    if (!assertion) return;
+
+    const payload = {
+        action: 'feedback',
+        sessionId: getSessionId(),
+        assertion,
+        messageId,
+        rating: feedback?.rating || null,
+        comment: feedback?.comment || '',
+        metadata: {
+            userId: currentUser?.id || 'anonymous',
+            workspaceId: getActiveWorkspaceId(),
+            timestamp: new Date().toISOString()
+        }
+    };
+
+    fetch(CONFIG.N8N_WEBHOOK_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'ngrok-skip-browser-warning': 'true'
+        },
+        body: JSON.stringify(payload)
+    }).catch(err => {
+        console.error('Failed to send feedback event:', err);
+    });
+}
+
+/**
+ * Add thumbs up/down and an optional comment below an AI message
+ * @param {HTMLElement} messageEl - Assistant message element
+ * @param {string} messageId - ID of the saved AI message
+ * @param {Object|null} feedback - Existing { rating, comment } of the current user
+ */
+function addFeedbackControls(messageEl, messageId, feedback = null) {
+    if (!messageEl || !messageId || messageEl.nextElementSibling?.classList.contains('chat-feedback')) return;
+
+    let current = feedback;
+
+    const controls = document.createElement('div');
+    controls.className = 'chat-feedback';
+    controls.innerHTML = `
+        <button type="button" class="chat-feedback-btn" data-rating="up" aria-label="Buena respuesta">${FEEDBACK_ICONS.up}</button>
+        <button type="button" class="chat-feedback-btn" data-rating="down" aria-label="Mala respuesta">${FEEDBACK_ICONS.down}</button>
+        <form class="chat-feedback-comment hidden">
+            <input type="text" class="chat-feedback-input" placeholder="Comentario (opcional)" maxlength="1000">
+            <button type="submit" class="chat-feedback-send">Enviar</button>
+        </form>
+    `;
+
+    const form = controls.querySelector('.chat-feedback-comment');
+    const commentInput = controls.querySelector('.chat-feedback-input');
+
+    const render = () => {
+        controls.querySelectorAll('.chat-feedback-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.rating === current?.rating);
+        });
+        commentInput.value = current?.comment || '';
+    };
+
+    const submit = async (rating, comment) => {
+        const previous = current;
+        current = rating ? { rating, comment } : null;
+        render();
+
+        const { error } = await saveMessageFeedback(messageId, rating, comment);
+
+        if (error) {
+            console.error('Failed to save feedback:', error);
+            current = previous;
+            render();
+            return false;
+        }
+
+        sendFeedbackEvent(messageId, current);
+        return true;
+    };
+
+    controls.querySelectorAll('.chat-feedback-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            // Clicking the active thumb again removes the rating
+            const rating = btn.dataset.rating === current?.rating ? null : btn.dataset.rating;
+            await submit(rating, rating ? current?.comment || '' : '');
+            form.classList.toggle('hidden', !current);
+            if (current) commentInput.focus();
+        });
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!current) return;
+
+        if (await submit(current.rating, commentInput.value.trim())) {
+            form.classList.add('hidden');
+        }
+    });
+
+    render();
+    messageEl.after(controls);
+}
+
+/**
+ * Set the content of a message element
+ * Assistant replies are rendered as Markdown; everything else stays plain text
+ * @param {HTMLElement} messageEl - Message element
+ * @param {string} content - Message content
+ */
+function setMessageContent(messageEl, content) {
+    if (messageEl.classList.contains('assistant')) {
+        messageEl.classList.add('markdown');
+        messageEl.innerHTML = renderMarkdown(content);
+    } else {
+        messageEl.textContent = content;
+    }
+}
+
 /**
  * Add message to chat UI
  * @param {string} content - Message content
  * @param {string} type - Message type ('user', 'assistant', 'error')
+ * @returns {HTMLElement|null} The message element
  */
 function addMessageToUI(content, type) {
     const messagesContainer = document.getElementById('chatMessages');
-    if (!messagesContainer) return;
+    if (!messagesContainer) return null;
 
     // Remove welcome message if exists
     const welcome = messagesContainer.querySelector('.chat-welcome');
@@ -139,10 +377,28 @@ function addMessageToUI(content, type) {
 
     const messageEl = document.createElement('div');
     messageEl.className = `chat-message ${type}`;
-    messageEl.textContent = content;
+    setMessageContent(messageEl, content);
 
     messagesContainer.appendChild(messageEl);
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+    return messageEl;
+}
+
+/**
+ * Update the content of a message already in the chat UI
+ * @param {HTMLElement} messageEl - Message element returned by addMessageToUI
+ * @param {string} content - New message content
+ */
+function updateMessageInUI(messageEl, content) {
+    const messagesContainer = document.getElementById('chatMessages');
+    if (!messageEl) return;
+
+    setMessageContent(messageEl, content);
+
+    if (messagesContainer) {
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
 }
 
 /**
@@ -171,6 +427,119 @@ function hideTypingIndicator() {
     }
 }
 
+/**
+ * Extract the reply text from the different response formats n8n can return
+ * @param {*} data - Response data from sendMessage
+ * @returns {string} Reply text
+ */
+function getResponseText(data) {
+    if (typeof data === 'string') {
+        return data;
+    } else if (data?.output) {
+        return data.output;
+    } else if (data?.response) {
+        return data.response;
+    } else if (data?.message) {
+        return data.message;
+    } else if (data?.text) {
+        return data.text;
+    } else if (Array.isArray(data) && data.length > 0) {
+        return data[0]?.output || data[0]?.response || data[0]?.message || JSON.stringify(data[0]);
+    }
+    return JSON.stringify(data);
+}
+
+/**
+ * Send a message through the backend relay
+ * The backend asks n8n and stores both sides itself, so history is complete even if the tab closes
+ * @param {string} message - User message
+ * @param {HTMLElement} userEl - Bubble of the user message
+ */
+async function sendViaProxy(message, userEl) {
+    const retry = failedProxyMessage?.text === message && failedProxyMessage.sessionId === getSessionId()
+        ? failedProxyMessage
+        : null;
+    failedProxyMessage = null;
+
+    // The retried message replaces the failed bubbles
+    if (retry) {
+        retry.userEl?.remove();
+        retry.errorEl?.remove();
+    }
+
+    const messageId = retry ? retry.id : generateMessageId();
+    trackMessage(userEl, messageId);
+
+    const { data, error } = await sendChatMessage(getSessionId(), message, messageId);
+
+    hideTypingIndicator();
+
+    if (error) {
+        // A network failure may not have reached the backend, so the message may not be stored
+        trackMessage(userEl, messageId, error instanceof Error);
+        const errorEl = addMessageToUI(error.code === 'IN_PROGRESS'
+            ? 'Tu mensaje aun se esta respondiendo. Pulsa enviar de nuevo en unos segundos.'
+            : 'Lo siento, hubo un error al procesar tu mensaje. Pulsa enviar para reintentar.', 'error');
+
+        // Nothing to retype: the text goes back in the input and sending it retries the same message
+        failedProxyMessage = { id: messageId, text: message, sessionId: getSessionId(), userEl, errorEl };
+        const input = document.getElementById('chatInput');
+        if (input && !input.value) input.value = message;
+        return;
+    }
+
+    const replyEl = addMessageToUI(data.reply.content, 'assistant');
+    trackMessage(replyEl, data.reply.id);
+    addFeedbackControls(replyEl, data.reply.id);
+}
+
+/**
+ * Send a message straight to n8n, streaming the reply, and save both sides through the outbox
+ * @param {string} message - User message
+ * @param {HTMLElement} userEl - Bubble of the user message
+ */
+async function sendDirect(message, userEl) {
+    // Queue the user message for saving (the outbox retries until it is stored)
+    trackMessage(userEl, enqueueMessage(getSessionId(), 'human', message, getActiveWorkspaceId()));
+
+    // Send to n8n, rendering the reply as it streams in
+    let streamingEl = null;
+    const { data, error } = await sendMessage(message, (chunk, fullContent) => {
+        if (!streamingEl) {
+            hideTypingIndicator();
+            streamingEl = addMessageToUI('', 'assistant');
+        }
+        updateMessageInUI(streamingEl, fullContent);
+    });
+
+    // Hide typing indicator
+    hideTypingIndicator();
+
+    if (error) {
+        // A reply cut off by an error stays visible, flagged, and is not saved as an answer
+        if (streamingEl && data?.incomplete) {
+            streamingEl.classList.add('incomplete');
+        } else if (streamingEl) {
+            streamingEl.remove();
+        }
+        addMessageToUI('Lo siento, hubo un error al procesar tu mensaje. Intenta de nuevo.', 'error');
+        return;
+    }
+
+    const responseText = getResponseText(data);
+
+    let replyEl = streamingEl;
+    if (replyEl) {
+        updateMessageInUI(replyEl, responseText);
+    } else {
+        replyEl = addMessageToUI(responseText, 'assistant');
+    }
+
+    // Save AI response once the stream has closed
+    // Feedback controls appear when the outbox confirms the message is stored
+    trackMessage(replyEl, enqueueMessage(getSessionId(), 'ai', responseText, getActiveWorkspaceId()));
+}
+
 /**
  * Handle sending a message
  */
@@ -190,50 +559,15 @@ async function handleSendMessage() {
     sendBtn.disabled = true;
 
     // Add user message to UI
-    addMessageToUI(message, 'user');
-
-    // Save user message to Google Sheets (don't await, fire and forget)
-    saveChatMessage(getSessionId(), 'human', message).catch(err => {
-        console.error('Failed to save user message:', err);
-    });
+    const userEl = addMessageToUI(message, 'user');
 
     // Show typing indicator
     showTypingIndicator();
 
-    // Send to n8n
-    const { data, error } = await sendMessage(message);
-
-    // Hide typing indicator
-    hideTypingIndicator();
-
-    if (error) {
-        addMessageToUI('Lo siento, hubo un error al procesar tu mensaje. Intenta de nuevo.', 'error');
+    if (CONFIG.CHAT_PROXY_ENABLED) {
+        await sendViaProxy(message, userEl);
     } else {
-        // Handle different response formats from n8n
-        let responseText = '';
-
-        if (typeof data === 'string') {
-            responseText = data;
-        } else if (data?.output) {
-            responseText = data.output;
-        } else if (data?.response) {
-            responseText = data.response;
-        } else if (data?.message) {
-            responseText = data.message;
-        } else if (data?.text) {
-            responseText = data.text;
-        } else if (Array.isArray(data) && data.length > 0) {
-            responseText = data[0]?.output || data[0]?.response || data[0]?.message || JSON.stringify(data[0]);
-        } else {
-            responseText = JSON.stringify(data);
-        }
-
-        addMessageToUI(responseText, 'assistant');
-
-        // Save AI response to Google Sheets (don't await, fire and forget)
-        saveChatMessage(getSessionId(), 'ai', responseText).catch(err => {
-            console.error('Failed to save AI message:', err);
-        });
+        await sendDirect(message, userEl);
     }
 
     // Re-enable input
@@ -243,6 +577,34 @@ async function handleSendMessage() {
     input.focus();
 }
 
+/**
+ * Link a message element to its outbox entry
+ * @param {HTMLElement} messageEl - Message element
+ * @param {string} messageId - Outbox message ID
+ * @param {boolean} unsynced - Whether to flag the message as not saved yet
+ */
+function trackMessage(messageEl, messageId, unsynced = false) {
+    if (!messageEl) return;
+    messageEl.dataset.messageId = messageId;
+    messageEl.classList.toggle('unsynced', unsynced);
+}
+
+/**
+ * Reflect outbox results on the chat bubbles
+ * @param {Object} event - { id, status } from the outbox
+ */
+function handleOutboxChange(event) {
+    const messageEl = document.querySelector(`.chat-message[data-message-id="${event.id}"]`);
+    if (!messageEl) return;
+
+    // Only flag a bubble once a save has actually failed, not while the first attempt is in flight
+    messageEl.classList.toggle('unsynced', event.status === 'failed');
+
+    if (event.status === 'saved' && messageEl.classList.contains('assistant')) {
+        addFeedbackControls(messageEl, event.id);
+    }
+}
+
 /**
  * Initialize chat functionality
  * @param {Object} user - Current user object
@@ -250,6 +612,10 @@ async function handleSendMessage() {
 export function initChat(user) {
     currentUser = user;
 
+    // Retry messages that earlier pages could not save
+    onOutboxChange(handleOutboxChange);
+    initOutbox();
+
     const input = document.getElementById('chatInput');
     const sendBtn = document.getElementById('chatSend');
 
@@ -274,6 +640,52 @@ export function initChat(user) {
     sendBtn.addEventListener('click', handleSendMessage);
 }
 
+/**
+ * Resume an existing conversation in the chat widget
+ * Rehydrates previous messages and keeps sending under the same sessionId
+ * @param {string} existingSessionId - Session ID to resume ({userId}_{uuid})
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function resumeChat(existingSessionId) {
+    if (!existingSessionId) {
+        return { data: null, error: { message: 'Session ID is required' } };
+    }
+
+    // Only allow resuming sessions that belong to the current user
+    // (workspace conversations are shared; the backend checks membership)
+    if (currentUser?.id && !getActiveWorkspaceId() && existingSessionId.split('_')[0] !== currentUser.id) {
+        return { data: null, error: { message: 'Session does not belong to current user' } };
+    }
+
+    const { data, error } = await getConversation(existingSessionId);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    // Messages still waiting in the outbox are shown too, flagged as not saved
+    const savedIds = new Set((data?.messages || []).map(msg => msg.id));
+    const messages = [
+        ...(data?.messages || []),
+        ...getPendingMessages(existingSessionId).filter(msg => !savedIds.has(msg.id))
+    ].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    sessionId = existingSessionId;
+    sessionStorage.setItem('chat_session_id', sessionId);
+
+    const messagesContainer = document.getElementById('chatMessages');
+    if (messagesContainer && messages.length > 0) {
+        messagesContainer.innerHTML = '';
+        messages.forEach(msg => {
+            const messageEl = addMessageToUI(msg.content, msg.message_type === 'human' ? 'user' : 'assistant');
+            trackMessage(messageEl, msg.id, msg.pending === true);
+            if (msg.message_type === 'ai' && !msg.pending) addFeedbackControls(messageEl, msg.id, msg.feedback);
+        });
+    }
+
+    return { data: { sessionId, messages }, error: null };
+}
+
 /**
  * Clear chat history
  */
@@ -300,5 +712,6 @@ export function clearChat() {
 export default {
     sendMessage,
     initChat,
+    resumeChat,
     clearChat
 };
@@ -10,6 +10,10 @@ const CONFIG = {
     // n8n Webhook Configuration
     N8N_WEBHOOK_URL: 'https://n8n-xwpt.onrender.com/webhook/dda36856-64ca-41d6-81b9-d335e8e807a9/chat',
 
+    // Route chat through the Apps Script relay (chatProxy): history is saved server-side, replies arrive in one piece
+    // Set to false to call the webhook from the browser with streamed replies, saved through the outbox
+    CHAT_PROXY_ENABLED: true,
+
     // App Configuration
     APP_NAME: 'Family6 SaaS',
     APP_URL: window.location.origin,
@@ -22,11 +26,15 @@ const CONFIG = {
         DASHBOARD: '/dashboard.html',
         RESET_PASSWORD: '/reset-password.html',
         UPDATE_PASSWORD: '/update-password.html',
-        CONFIRM: '/confirm.html'
+        CONFIRM: '/confirm.html',
+        ADMIN: '/admin.html'
     },
 
     // Protected routes that require authentication
-    PROTECTED_ROUTES: ['/dashboard.html', '/conversaciones.html', '/analiticas.html', '/configuracion.html'],
+    PROTECTED_ROUTES: ['/dashboard.html', '/conversaciones.html', '/analiticas.html', '/configuracion.html', '/admin.html'],
+
+    // Protected routes that additionally require the admin role
+    ADMIN_ROUTES: ['/admin.html'],
 
     // Auth routes that should redirect to dashboard if already logged in
     AUTH_ROUTES: ['/login.html', '/register.html']
@@ -0,0 +1,271 @@
+/**
+ * Export Module
+ * Builds Markdown, JSON and CSV exports of chat conversations client-side
+ */
+
+const FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+const CSV_COLUMNS = ['id', 'session_id', 'user_id', 'message_type', 'content', 'created_at'];
+
+/**
+ * Sort messages chronologically
+ * @param {Array} messages - Messages in the getChatHistory `messages` shape
+ * @returns {Array} Sorted copy
+ */
+function sortMessages(messages) {
+    return [...messages].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+/**
+ * Convert a conversation to a Markdown transcript
+ * @param {string} sessionId - Chat session ID
+ * @param {Array} messages - Messages of the conversation
+ * @returns {string} Markdown text
+ */
+export function toMarkdown(sessionId, messages) {
+    const sorted = sortMessages(messages);
+    const startedAt = sorted[0]?.created_at ? new Date(sorted[0].created_at).toLocaleString('es-ES') : '';
+
+    let markdown = `# Conversacion\n\n`;
+    markdown += `- Sesion: \`${sessionId}\`\n`;
+    if (startedAt) markdown += `- Inicio: ${startedAt}\n`;
+    markdown += `- Mensajes: ${sorted.length}\n`;
+
+    sorted.forEach(msg => {
+        const author = msg.message_type === 'human' ? 'Tu' : 'Asistente';
+        const time = msg.created_at ? new Date(msg.created_at).toLocaleString('es-ES') : '';
+        markdown += `\n## ${author}${time ? ` (${time})` : ''}\n\n${msg.content}\n`;
+    });
+
+    return markdown;
+}
+
+/**
+ * Convert messages to a JSON dump
+ * @param {Array} messages - Messages in the getChatHistory `messages` shape
+ * @returns {string} JSON text
+ */
+export function toJson(messages) {
+    const dump = sortMessages(messages).map(msg => {
+        const row = {};
+        CSV_COLUMNS.forEach(column => {
+            row[column] = msg[column] ?? '';
+        });
+        return row;
+    });
+    return JSON.stringify(dump, null, 2);
+}
+
+/**
+ * Escape a CSV field
+ * Text starting like a formula is prefixed with ' so spreadsheets show it instead of evaluating it
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function csvField(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert messages to CSV
+ * @param {Array} messages - Messages in the getChatHistory `messages` shape
+ * @returns {string} CSV text
+ */
+export function toCsv(messages) {
+    const lines = [CSV_COLUMNS.join(',')];
+    sortMessages(messages).forEach(msg => {
+        lines.push(CSV_COLUMNS.map(column => csvField(msg[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build an export file for one conversation
+ * @param {string} sessionId - Chat session ID
+ * @param {Array} messages - Messages of the conversation
+ * @param {string} format - 'markdown', 'json' or 'csv'
+ * @returns {{name: string, content: string, mimeType: string}}
+ */
+export function buildConversationFile(sessionId, messages, format) {
+    const { extension, mimeType } = FORMATS[format] || FORMATS.markdown;
+
+    let content;
+    if (format === 'json') {
+        content = toJson(messages);
+    } else if (format === 'csv') {
+        content = toCsv(messages);
+    } else {
+        content = toMarkdown(sessionId, messages);
+    }
+
+    const safeName = String(sessionId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return { name: `conversacion_${safeName}.${extension}`, content, mimeType };
+}
+
+// ============== ZIP ==============
+
+let crcTable = null;
+
+/**
+ * Compute CRC-32 of a byte array
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Create an uncompressed (stored) zip archive
+ * @param {Array<{name: string, content: string}>} files - Files to add
+ * @returns {Blob} Zip archive
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);  // Local file header signature
+        local.setUint16(4, 20, true);          // Version needed
+        local.setUint16(6, 0x0800, true);      // UTF-8 file names
+        local.setUint16(8, 0, true);           // Stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(local, nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory signature
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 20, true);         // Version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);    // Local header offset
+        centralParts.push(central, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);         // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+// ============== DOWNLOAD ==============
+
+/**
+ * Trigger a browser download
+ * @param {string} filename - File name
+ * @param {Blob|string} content - File content
+ * @param {string} mimeType - MIME type when content is a string
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export a single conversation and download it
+ * @param {string} sessionId - Chat session ID
+ * @param {Array} messages - Messages of the conversation
+ * @param {string} format - 'markdown', 'json' or 'csv'
+ */
+export function exportConversation(sessionId, messages, format) {
+    const file = buildConversationFile(sessionId, messages, format);
+    downloadFile(file.name, file.content, file.mimeType);
+}
+
+/**
+ * Export many conversations as a zip (one file per conversation)
+ * @param {Array} messages - Flat messages array from getChatHistory
+ * @param {string} format - 'markdown', 'json' or 'csv'
+ */
+export function exportAllConversations(messages, format) {
+    const sessions = {};
+    messages.forEach(msg => {
+        if (!sessions[msg.session_id]) sessions[msg.session_id] = [];
+        sessions[msg.session_id].push(msg);
+    });
+
+    const sessionIds = Object.keys(sessions);
+
+    if (sessionIds.length === 1) {
+        exportConversation(sessionIds[0], sessions[sessionIds[0]], format);
+        return;
+    }
+
+    const files = sessionIds.map(sessionId => buildConversationFile(sessionId, sessions[sessionId], format));
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(`conversaciones_${date}.zip`, createZip(files));
+}
+
+export default {
+    toMarkdown,
+    toJson,
+    toCsv,
+    buildConversationFile,
+    createZip,
+    downloadFile,
+    exportConversation,
+    exportAllConversations
+};
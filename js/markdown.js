@@ -0,0 +1,267 @@
+/**
+ * Markdown Module
+ * Renders assistant replies safely: all text is escaped first and only a small
+ * set of Markdown constructs (headings, lists, tables, quotes, links, code) becomes HTML
+ */
+
+import { escapeHtml } from './ui.js';
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const HORIZONTAL_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+let copyHandlerBound = false;
+
+/**
+ * Build a link that opens in a new tab
+ * @param {string} url - Raw URL (must already be checked against SAFE_URL)
+ * @param {string} labelHtml - Escaped link label
+ * @returns {string} HTML
+ */
+function linkHtml(url, labelHtml) {
+    return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+}
+
+/**
+ * Apply bold, italic and strikethrough to already escaped text
+ * @param {string} html - Escaped text
+ * @returns {string} HTML
+ */
+function renderEmphasis(html) {
+    return html
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+        .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>')
+        .replace(/\*(?=\S)([^*]+?)\*/g, '<em>$1</em>')
+        .replace(/(^|\W)_(?=\S)([^_]+?)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+/**
+ * Render inline Markdown (code spans, links, emphasis) of a single line
+ * Code spans and links are set aside as placeholders so emphasis never touches them
+ * @param {string} text - Raw text
+ * @returns {string} HTML
+ */
+export function renderInlineMarkdown(text) {
+    const tokens = [];
+    const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    const held = String(text ?? '')
+        .replace(/\u0000/g, '')
+        .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${escapeHtml(code)}</code>`))
+        // Links with an unsafe protocol (javascript:, data:...) stay as plain text
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => (
+            SAFE_URL.test(url) ? hold(linkHtml(url, renderEmphasis(escapeHtml(label)))) : match
+        ))
+        .replace(/https?:\/\/[^\s<>"'`]+/g, (match) => {
+            const url = match.replace(/[.,;:!?)]+$/, '');
+            return hold(linkHtml(url, escapeHtml(url))) + match.slice(url.length);
+        });
+
+    return renderEmphasis(escapeHtml(held)).replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
+
+/**
+ * Split a table row into trimmed cells
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cells
+ */
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Render a table
+ * @param {Array<string>} header - Header cells
+ * @param {Array<string>} aligns - Alignment per column ('left', 'center', 'right' or '')
+ * @param {Array<Array<string>>} rows - Body rows
+ * @returns {string} HTML
+ */
+function renderTable(header, aligns, rows) {
+    const cell = (tag, content, index) => {
+        const style = aligns[index] ? ` style="text-align: ${aligns[index]};"` : '';
+        return `<${tag}${style}>${renderInlineMarkdown(content)}</${tag}>`;
+    };
+
+    const head = header.map((content, index) => cell('th', content, index)).join('');
+    const body = rows.map(row => `<tr>${header.map((_, index) => cell('td', row[index] || '', index)).join('')}</tr>`).join('');
+
+    return `<div class="md-table"><table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>`;
+}
+
+/**
+ * Render a fenced code block with a copy button
+ * @param {string} code - Raw code
+ * @param {string} language - Language tag of the fence (optional)
+ * @returns {string} HTML
+ */
+function renderCodeBlock(code, language) {
+    const header = `<div class="md-code-header"><span>${escapeHtml(language || 'codigo')}</span><button type="button" class="md-code-copy">Copiar</button></div>`;
+    return `<div class="md-code">${header}<pre><code>${escapeHtml(code)}</code></pre></div>`;
+}
+
+/**
+ * Render block-level Markdown
+ * @param {string} text - Raw Markdown
+ * @returns {string} HTML
+ */
+function renderBlocks(text) {
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+
+        // Fenced code (an unclosed fence runs to the end, e.g. while the reply is streaming)
+        const fence = line.match(/^\s*(```|~~~)\s*([\w+#.-]*)\s*$/);
+        if (fence) {
+            flushParagraph();
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            html.push(renderCodeBlock(code.join('\n'), fence[2]));
+            continue;
+        }
+
+        if (!line.trim()) {
+            flushParagraph();
+            i++;
+            continue;
+        }
+
+        const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushParagraph();
+            // Replies live inside small bubbles: "#" maps to h3
+            const level = Math.min(heading[1].length + 2, 6);
+            html.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (HORIZONTAL_RULE.test(line)) {
+            flushParagraph();
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        // Tables need a header row followed by a separator row
+        if (line.includes('|') && lines[i + 1]?.includes('|') && TABLE_SEPARATOR.test(lines[i + 1])) {
+            flushParagraph();
+            const header = splitTableRow(line);
+            const aligns = splitTableRow(lines[i + 1]).map(cell => {
+                if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+                if (cell.endsWith(':')) return 'right';
+                if (cell.startsWith(':')) return 'left';
+                return '';
+            });
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                rows.push(splitTableRow(lines[i]));
+                i++;
+            }
+            html.push(renderTable(header, aligns, rows));
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            flushParagraph();
+            const quote = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quote.push(lines[i].replace(/^\s*>\s?/, ''));
+                i++;
+            }
+            html.push(`<blockquote>${renderBlocks(quote.join('\n'))}</blockquote>`);
+            continue;
+        }
+
+        const listItem = line.match(LIST_ITEM);
+        if (listItem) {
+            flushParagraph();
+            const ordered = /\d/.test(listItem[1]);
+            const items = [];
+            while (i < lines.length) {
+                const item = lines[i].match(LIST_ITEM);
+                if (item && /\d/.test(item[1]) === ordered) {
+                    items.push([item[2]]);
+                } else if (lines[i].trim() && /^\s{2,}/.test(lines[i])) {
+                    // Indented continuation of the previous item
+                    items[items.length - 1].push(lines[i].trim());
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            const tag = ordered ? 'ol' : 'ul';
+            const start = ordered && parseInt(listItem[1], 10) !== 1 ? ` start="${parseInt(listItem[1], 10)}"` : '';
+            const itemsHtml = items.map(itemLines => `<li>${itemLines.map(renderInlineMarkdown).join('<br>')}</li>`).join('');
+            html.push(`<${tag}${start}>${itemsHtml}</${tag}>`);
+            continue;
+        }
+
+        paragraph.push(line);
+        i++;
+    }
+
+    flushParagraph();
+    return html.join('');
+}
+
+/**
+ * Copy the code of a block when its copy button is clicked (one delegated listener for every page)
+ */
+function bindCopyHandler() {
+    if (copyHandlerBound || typeof document === 'undefined') return;
+    copyHandlerBound = true;
+
+    document.addEventListener('click', async (e) => {
+        const button = e.target.closest('.md-code-copy');
+        if (!button) return;
+
+        const code = button.closest('.md-code')?.querySelector('code');
+
+        try {
+            await navigator.clipboard.writeText(code?.textContent || '');
+            button.textContent = 'Copiado';
+        } catch (err) {
+            console.error('Failed to copy code:', err);
+            button.textContent = 'Error';
+        }
+
+        setTimeout(() => {
+            button.textContent = 'Copiar';
+        }, 2000);
+    });
+}
+
+/**
+ * Render untrusted Markdown to safe HTML
+ * @param {string} text - Raw Markdown (e.g. an LLM reply)
+ * @returns {string} HTML to assign to an element with the "markdown" class
+ */
+export function renderMarkdown(text) {
+    bindCopyHandler();
+    return renderBlocks(text);
+}
+
+export default {
+    renderMarkdown,
+    renderInlineMarkdown
+};
@@ -0,0 +1,278 @@
+/**
+ * Outbox Module
+ * Queues chat messages in localStorage until the backend confirms them, retrying with backoff
+ * Every message carries a client-generated id, so the backend stores it once however often it is sent
+ */
+
+import { saveChatMessage, getStoredSession } from './api.js';
+
+const OUTBOX_KEY = 'family6_chat_outbox';
+
+// Retry delay doubles after every failure, up to the maximum
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Backend answers no retry can change: the entry is dropped (anything else is retried)
+const PERMANENT_ERRORS = [
+    'Invalid message ID',
+    'Workspace not found',
+    'User not found',
+    'Session does not belong to current user'
+];
+
+// The session is gone (after the renewal api.js attempts): entries wait for the next sign-in
+const SESSION_ERRORS = ['Invalid or expired session', 'Session expired', 'Invalid session'];
+
+const listeners = new Set();
+let flushing = false;
+let retryTimer = null;
+let initialized = false;
+
+/**
+ * Read the queued messages
+ * @returns {Array} Outbox entries
+ */
+function readOutbox() {
+    try {
+        return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Persist the queued messages
+ * @param {Array} entries - Outbox entries
+ */
+function writeOutbox(entries) {
+    if (entries.length > 0) {
+        localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+    } else {
+        localStorage.removeItem(OUTBOX_KEY);
+    }
+}
+
+/**
+ * Get the ID of the signed-in user (entries are only sent with their author's session)
+ * @returns {string|null} User ID
+ */
+function getCurrentUserId() {
+    return getStoredSession()?.user?.id || null;
+}
+
+/**
+ * Generate a message ID
+ * @returns {string} UUID
+ */
+export function generateMessageId() {
+    if (crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Notify listeners about a message
+ * @param {Object} event - { id, status: 'saved' | 'failed', attempts, permanent }
+ */
+function notify(event) {
+    listeners.forEach(callback => {
+        try {
+            callback(event);
+        } catch (error) {
+            console.error('Outbox listener error:', error);
+        }
+    });
+}
+
+/**
+ * Check whether a save error is final
+ * Only the backend answers listed in PERMANENT_ERRORS are; network errors never are
+ * @param {Object} error - Error returned by saveChatMessage
+ * @returns {boolean} True if retrying cannot help
+ */
+function isPermanentError(error) {
+    return !(error instanceof Error) && PERMANENT_ERRORS.includes(error.message);
+}
+
+/**
+ * Check whether a save failed because the user is no longer signed in
+ * @param {Object} error - Error returned by saveChatMessage
+ * @returns {boolean} True for session errors
+ */
+function isSessionError(error) {
+    return !(error instanceof Error) && SESSION_ERRORS.includes(error.message);
+}
+
+/**
+ * Schedule the next flush for the earliest pending retry
+ */
+function scheduleRetry() {
+    clearTimeout(retryTimer);
+
+    const userId = getCurrentUserId();
+    const pending = readOutbox().filter(entry => entry.userId === userId);
+    if (pending.length === 0) return;
+
+    const nextAttemptAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+    retryTimer = setTimeout(flushOutbox, Math.max(nextAttemptAt - Date.now(), 0));
+}
+
+/**
+ * Send every due message of the current user, oldest first
+ * @returns {Promise<void>}
+ */
+export async function flushOutbox() {
+    if (flushing) return;
+    flushing = true;
+    let signedOut = false;
+
+    try {
+        const userId = getCurrentUserId();
+        const due = readOutbox().filter(entry => entry.userId === userId && entry.nextAttemptAt <= Date.now());
+
+        for (const entry of due) {
+            const { error } = await saveChatMessage(entry.sessionId, entry.messageType, entry.content, {
+                messageId: entry.id,
+                workspaceId: entry.workspaceId,
+                createdAt: entry.createdAt
+            });
+
+            // Re-read: messages may have been queued while the request was in flight
+            const entries = readOutbox();
+
+            if (error && isSessionError(error)) {
+                // Every other entry would fail the same way: keep them all for the next sign-in
+                notify({ id: entry.id, status: 'failed', attempts: entry.attempts });
+                signedOut = true;
+                break;
+            } else if (error && isPermanentError(error)) {
+                // Dropped: the message is reported once and never retried
+                console.error('Outbox message dropped:', error.message);
+                writeOutbox(entries.filter(e => e.id !== entry.id));
+                notify({ id: entry.id, status: 'failed', attempts: entry.attempts + 1, permanent: true });
+            } else if (error) {
+                const attempts = entry.attempts + 1;
+                const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+                writeOutbox(entries.map(e => (e.id === entry.id ? { ...e, attempts, nextAttemptAt: Date.now() + delay } : e)));
+                notify({ id: entry.id, status: 'failed', attempts });
+            } else {
+                writeOutbox(entries.filter(e => e.id !== entry.id));
+                notify({ id: entry.id, status: 'saved', attempts: entry.attempts + 1 });
+            }
+        }
+    } finally {
+        flushing = false;
+    }
+
+    // Without a session, retrying is pointless until the user signs in again (see initOutbox)
+    if (signedOut) {
+        clearTimeout(retryTimer);
+        return;
+    }
+
+    scheduleRetry();
+}
+
+/**
+ * Queue a chat message and try to save it right away
+ * @param {string} sessionId - Chat session ID
+ * @param {string} messageType - 'human' or 'ai'
+ * @param {string} content - Message content
+ * @param {string|null} workspaceId - Workspace the message belongs to (null = personal)
+ * @returns {string} Message ID
+ */
+export function enqueueMessage(sessionId, messageType, content, workspaceId = null) {
+    const entry = {
+        id: generateMessageId(),
+        userId: getCurrentUserId(),
+        sessionId,
+        messageType,
+        content,
+        workspaceId,
+        createdAt: new Date().toISOString(),
+        attempts: 0,
+        nextAttemptAt: 0
+    };
+
+    writeOutbox([...readOutbox(), entry]);
+    flushOutbox();
+
+    return entry.id;
+}
+
+/**
+ * Get the current user's unsaved messages of a conversation
+ * @param {string} sessionId - Chat session ID
+ * @returns {Array} Entries in the getConversation message shape
+ */
+export function getPendingMessages(sessionId) {
+    const userId = getCurrentUserId();
+
+    return readOutbox()
+        .filter(entry => entry.userId === userId && entry.sessionId === sessionId)
+        .map(entry => ({
+            id: entry.id,
+            session_id: entry.sessionId,
+            message_type: entry.messageType,
+            content: entry.content,
+            created_at: entry.createdAt,
+            pending: true
+        }));
+}
+
+/**
+ * Forget a user's unsaved messages (on sign-out, so chat content does not stay on the device)
+ * @param {string|null} userId - User whose messages go (defaults to the signed-in user)
+ */
+export function clearOutbox(userId = getCurrentUserId()) {
+    clearTimeout(retryTimer);
+    writeOutbox(readOutbox().filter(entry => entry.userId !== userId));
+}
+
+/**
+ * Subscribe to save results
+ * @param {Function} callback - Called with { id, status, attempts, permanent }
+ * @returns {Function} Unsubscribe function
+ */
+export function onOutboxChange(callback) {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+}
+
+/**
+ * Retry the current user's messages now instead of waiting out their backoff
+ * Used after a page load and after signing in, when messages kept during a lapsed session can go through
+ */
+export function retryOutboxNow() {
+    const userId = getCurrentUserId();
+    writeOutbox(readOutbox().map(entry => (entry.userId === userId ? { ...entry, nextAttemptAt: 0 } : entry)));
+    flushOutbox();
+}
+
+/**
+ * Flush what a previous page load left behind, and again whenever the browser comes back online
+ */
+export function initOutbox() {
+    if (initialized) return;
+    initialized = true;
+
+    window.addEventListener('online', flushOutbox);
+    retryOutboxNow();
+}
+
+export default {
+    generateMessageId,
+    enqueueMessage,
+    flushOutbox,
+    getPendingMessages,
+    onOutboxChange,
+    clearOutbox,
+    retryOutboxNow,
+    initOutbox
+};
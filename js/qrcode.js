@@ -0,0 +1,394 @@
+/**
+ * QR Code Module
+ * Small QR code encoder (byte mode, error correction level M) rendered as SVG
+ * Runs entirely in the browser, so secrets such as the two-factor enrollment URI are never sent to a QR service
+ */
+
+// Level M blocks per version (index 0 = version 1):
+// [EC codewords per block, blocks in group 1, data codewords per group 1 block, blocks in group 2, data codewords per group 2 block]
+const EC_BLOCKS_M = [
+    [10, 1, 16, 0, 0], [16, 1, 28, 0, 0], [26, 1, 44, 0, 0], [18, 2, 32, 0, 0], [24, 2, 43, 0, 0],
+    [16, 4, 27, 0, 0], [18, 4, 31, 0, 0], [22, 2, 38, 2, 39], [22, 3, 36, 2, 37], [26, 4, 43, 1, 44],
+    [30, 1, 50, 4, 51], [22, 6, 36, 2, 37], [22, 8, 37, 1, 38], [24, 4, 40, 5, 41], [24, 5, 41, 5, 42],
+    [28, 7, 45, 3, 46], [28, 10, 46, 1, 47], [26, 9, 43, 4, 44], [26, 3, 44, 11, 45], [26, 3, 41, 13, 42],
+    [26, 17, 42, 0, 0], [28, 17, 46, 0, 0], [28, 4, 47, 14, 48], [28, 6, 45, 14, 46], [28, 8, 47, 13, 48],
+    [28, 19, 46, 4, 47], [28, 22, 45, 3, 46], [28, 3, 45, 23, 46], [28, 21, 45, 7, 46], [28, 19, 47, 10, 48],
+    [28, 2, 46, 29, 47], [28, 10, 46, 23, 47], [28, 14, 46, 21, 47], [28, 14, 46, 23, 47], [28, 12, 47, 26, 48],
+    [28, 6, 47, 34, 48], [28, 29, 46, 14, 47], [28, 13, 46, 32, 47], [28, 40, 47, 7, 48], [28, 18, 47, 31, 48]
+];
+
+// Format information bits of level M
+const EC_LEVEL_M_BITS = 0;
+
+// Light modules kept around the code so scanners find its edges
+const QUIET_ZONE = 4;
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// GF(256) exponent and logarithm tables for Reed-Solomon (polynomial 0x11d)
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+
+let value = 1;
+for (let i = 0; i < 255; i++) {
+    GF_EXP[i] = value;
+    GF_LOG[value] = i;
+    value <<= 1;
+    if (value & 0x100) value ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) {
+    GF_EXP[i] = GF_EXP[i - 255];
+}
+
+/**
+ * Multiply two GF(256) elements
+ * @param {number} a - Element
+ * @param {number} b - Element
+ * @returns {number} Product
+ */
+function gfMultiply(a, b) {
+    return a && b ? GF_EXP[GF_LOG[a] + GF_LOG[b]] : 0;
+}
+
+/**
+ * Compute the Reed-Solomon error correction codewords of a block
+ * @param {Array<number>} data - Data codewords
+ * @param {number} degree - Number of EC codewords
+ * @returns {Array<number>} EC codewords
+ */
+function reedSolomon(data, degree) {
+    // Generator polynomial (x - a^0)(x - a^1)...(x - a^(degree-1)), highest power first
+    let generator = [1];
+    for (let i = 0; i < degree; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coef, j) => {
+            next[j] ^= coef;
+            next[j + 1] ^= gfMultiply(coef, GF_EXP[i]);
+        });
+        generator = next;
+    }
+
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let j = 0; j < degree; j++) {
+            remainder[j] ^= gfMultiply(generator[j + 1], factor);
+        }
+    });
+
+    return remainder;
+}
+
+/**
+ * Number of data codewords of a version
+ * @param {number} version - QR version (1-40)
+ * @returns {number} Data codewords
+ */
+function dataCapacity(version) {
+    const [, blocks1, data1, blocks2, data2] = EC_BLOCKS_M[version - 1];
+    return blocks1 * data1 + blocks2 * data2;
+}
+
+/**
+ * Build the final codeword sequence: data bits, padding, then interleaved data and EC blocks
+ * @param {Uint8Array} bytes - Payload
+ * @param {number} version - QR version
+ * @returns {Array<number>} Codewords
+ */
+function buildCodewords(bytes, version) {
+    const capacityBits = dataCapacity(version) * 8;
+    const bits = [];
+    const push = (val, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((val >>> i) & 1);
+    };
+
+    push(0b0100, 4); // Byte mode
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacityBits - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    }
+    for (let pad = 0xec; data.length < capacityBits / 8; pad ^= 0xec ^ 0x11) {
+        data.push(pad);
+    }
+
+    const [ecLength, blocks1, data1, blocks2, data2] = EC_BLOCKS_M[version - 1];
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blocks1 + blocks2; i++) {
+        const length = i < blocks1 ? data1 : data2;
+        const block = data.slice(offset, offset + length);
+        blocks.push({ data: block, ec: reedSolomon(block, ecLength) });
+        offset += length;
+    }
+
+    const codewords = [];
+    for (let i = 0; i < Math.max(data1, data2); i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) codewords.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < ecLength; i++) {
+        blocks.forEach(block => codewords.push(block.ec[i]));
+    }
+
+    return codewords;
+}
+
+/**
+ * Centers of the alignment patterns of a version
+ * @param {number} version - QR version
+ * @returns {Array<number>} Row/column positions
+ */
+function alignmentPositions(version) {
+    if (version === 1) return [];
+
+    const size = version * 4 + 17;
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.floor((version * 4 + count * 2 + 1) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < count; pos -= step) {
+        positions.splice(1, 0, pos);
+    }
+    return positions;
+}
+
+/**
+ * Compute a BCH code: the value followed by its remainder modulo the generator
+ * @param {number} val - Value to protect
+ * @param {number} generator - Generator polynomial
+ * @param {number} degree - Degree of the generator
+ * @returns {number} Value and remainder
+ */
+function bchCode(val, generator, degree) {
+    let remainder = val << degree;
+    for (let bit = 31 - Math.clz32(remainder); bit >= degree; bit = 31 - Math.clz32(remainder)) {
+        remainder ^= generator << (bit - degree);
+    }
+    return (val << degree) | remainder;
+}
+
+/**
+ * Score a matrix with the standard penalty rules (lower is easier to scan)
+ * @param {Array<Array<boolean>>} modules - Matrix
+ * @returns {number} Penalty
+ */
+function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    let dark = 0;
+
+    const lineScore = (get) => {
+        let total = 0;
+        for (let a = 0; a < size; a++) {
+            let run = 1;
+            for (let b = 1; b <= size; b++) {
+                if (b < size && get(a, b) === get(a, b - 1)) {
+                    run++;
+                } else {
+                    if (run >= 5) total += run - 2;
+                    run = 1;
+                }
+            }
+
+            // Finder-like 1:1:3:1:1 pattern with four light modules on either side
+            for (let b = 0; b + 11 <= size; b++) {
+                const line = [];
+                for (let k = 0; k < 11; k++) line.push(get(a, b + k) ? 1 : 0);
+                const text = line.join('');
+                if (text === '10111010000' || text === '00001011101') total += 40;
+            }
+        }
+        return total;
+    };
+
+    score += lineScore((row, col) => modules[row][col]);
+    score += lineScore((col, row) => modules[row][col]);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    score += 3;
+                }
+            }
+        }
+    }
+
+    score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+    return score;
+}
+
+/**
+ * Encode text as a QR code matrix
+ * @param {string} text - Text to encode (UTF-8)
+ * @returns {Array<Array<boolean>>} Rows of modules, true = dark
+ */
+export function encodeQrCode(text) {
+    const bytes = new TextEncoder().encode(String(text));
+
+    let version = 1;
+    while (version <= 40 && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCapacity(version) * 8) {
+        version++;
+    }
+    if (version > 40) {
+        throw new Error('Text is too long for a QR code');
+    }
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                setFunction(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns (except where they would overlap a finder)
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    const drawFormat = (mask) => {
+        const bits = bchCode((EC_LEVEL_M_BITS << 3) | mask, 0x537, 10) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+        setFunction(8, 7, bit(6));
+        setFunction(8, 8, bit(7));
+        setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+        setFunction(8, size - 8, true); // Dark module
+    };
+
+    // Reserve the format areas before placing data
+    drawFormat(0);
+
+    if (version >= 7) {
+        const bits = bchCode(version, 0x1f25, 12);
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    // Data in two-module columns, zigzagging up and down from the bottom right
+    const codewords = buildCodewords(bytes, version);
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+                    modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    const applyMask = (mask) => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    };
+
+    // Keep the mask that scores best
+    let bestMask = 0;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        applyMask(mask);
+        drawFormat(mask);
+        const score = penalty(modules);
+        if (score < bestScore) {
+            bestMask = mask;
+            bestScore = score;
+        }
+        applyMask(mask);
+    }
+
+    applyMask(bestMask);
+    drawFormat(bestMask);
+
+    return modules;
+}
+
+/**
+ * Render text as an SVG QR code
+ * @param {string} text - Text to encode
+ * @param {string} label - Accessible label
+ * @returns {string} SVG markup
+ */
+export function renderQrCode(text, label = 'Codigo QR') {
+    const modules = encodeQrCode(text);
+    const size = modules.length + QUIET_ZONE * 2;
+    let path = '';
+
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path += `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`;
+        });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" class="qr-code" role="img" aria-label="${label.replace(/[<>&"]/g, '')}" shape-rendering="crispEdges">` +
+        `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+export default {
+    encodeQrCode,
+    renderQrCode
+};
@@ -17,6 +17,27 @@ function isProtectedRoute() {
     );
 }
 
+/**
+ * Check if current path is an admin-only route
+ * @returns {boolean}
+ */
+function isAdminRoute() {
+    const currentPath = window.location.pathname;
+    return CONFIG.ADMIN_ROUTES.some(route =>
+        currentPath.endsWith(route) || currentPath === route
+    );
+}
+
+/**
+ * Check if a session belongs to an admin
+ * UI gate only - Code.gs checks the role again for every admin action
+ * @param {Object} session - Session data
+ * @returns {boolean}
+ */
+export function isAdmin(session) {
+    return session?.user?.role === 'admin';
+}
+
 /**
  * Check if current path is an auth route (login, register)
  * @returns {boolean}
@@ -50,6 +71,12 @@ export async function initRouteProtection() {
         return false;
     }
 
+    if (isAdminRoute() && !isAdmin(session)) {
+        // Authenticated but not allowed here
+        redirect(CONFIG.ROUTES.DASHBOARD);
+        return false;
+    }
+
     if (isAuthRoute() && session) {
         // Already authenticated, redirect to dashboard
         redirect(CONFIG.ROUTES.DASHBOARD);
@@ -68,7 +95,9 @@ export async function protectPage(onAuthenticated, onUnauthenticated) {
     const { data } = await getSession();
     const session = data?.session;
 
-    if (session) {
+    if (session && isAdminRoute() && !isAdmin(session)) {
+        redirect(CONFIG.ROUTES.DASHBOARD);
+    } else if (session) {
         if (onAuthenticated) onAuthenticated(session);
     } else {
         if (onUnauthenticated) {
@@ -97,5 +126,6 @@ export async function requireGuest(onGuest) {
 export default {
     initRouteProtection,
     protectPage,
-    requireGuest
+    requireGuest,
+    isAdmin
 };
@@ -226,6 +226,56 @@ export function formatRelativeTime(date) {
     return 'ahora mismo';
 }
 
+/**
+ * Format a number of seconds as a short remaining-time string
+ * @param {number} seconds - Remaining seconds
+ * @returns {string} e.g. "5 minutos" or "30 segundos"
+ */
+export function formatRemainingTime(seconds) {
+    const total = Math.max(Math.ceil(seconds), 0);
+    if (total >= 60) {
+        const minutes = Math.ceil(total / 60);
+        return `${minutes} minuto${minutes > 1 ? 's' : ''}`;
+    }
+    return `${total} segundo${total !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Untrusted text
+ * @returns {string} Text safe to interpolate into HTML
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a user's avatar: their image if set, otherwise the initial of their name or email
+ * @param {HTMLElement} element - Avatar element
+ * @param {Object} user - User with avatar_url, display_name, email
+ */
+export function renderAvatar(element, user) {
+    if (!element || !user) return;
+
+    element.textContent = '';
+
+    if (user.avatar_url) {
+        const img = document.createElement('img');
+        img.src = user.avatar_url;
+        img.alt = '';
+        element.appendChild(img);
+        return;
+    }
+
+    const name = user.display_name || user.username || user.email || '?';
+    element.textContent = name.charAt(0).toUpperCase();
+}
+
 // Add slideOut animation to stylesheet
 const style = document.createElement('style');
 style.textContent = `
@@ -249,5 +299,8 @@ export default {
     validatePassword,
     debounce,
     formatDate,
-    formatRelativeTime
+    formatRelativeTime,
+    formatRemainingTime,
+    escapeHtml,
+    renderAvatar
 };
@@ -0,0 +1,57 @@
+/**
+ * Workspaces Module
+ * Sidebar workspace switcher shared by the dashboard pages
+ */
+
+import { listWorkspaces, getActiveWorkspaceId, setActiveWorkspaceId } from './api.js';
+
+/**
+ * Fill the workspace switcher and keep the active workspace valid
+ * @param {Function} onChange - Called with the new workspace ID (null = personal) after switching.
+ *                              Defaults to reloading the page so every view picks up the new scope
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function initWorkspaceSwitcher(onChange = () => window.location.reload()) {
+    const select = document.getElementById('workspaceSwitcher');
+    const invitesLink = document.getElementById('workspaceInvites');
+    if (!select) return { data: null, error: null };
+
+    const { data, error } = await listWorkspaces();
+
+    const workspaces = data?.workspaces || [];
+    let activeId = getActiveWorkspaceId();
+
+    // Membership may have been revoked since the workspace was selected
+    if (!error && activeId && !workspaces.some(ws => ws.id === activeId)) {
+        setActiveWorkspaceId(null);
+        activeId = null;
+    }
+
+    select.innerHTML = '';
+    select.appendChild(new Option('Personal', ''));
+    workspaces.forEach(ws => {
+        select.appendChild(new Option(`${ws.name} (${ws.memberCount})`, ws.id));
+    });
+    select.value = activeId || '';
+
+    select.onchange = () => {
+        const workspaceId = select.value || null;
+        setActiveWorkspaceId(workspaceId);
+        sessionStorage.removeItem('chat_session_id');
+        onChange(workspaceId);
+    };
+
+    const invitations = data?.invitations || [];
+    if (invitesLink) {
+        invitesLink.textContent = invitations.length === 1
+            ? '1 invitacion pendiente'
+            : `${invitations.length} invitaciones pendientes`;
+        invitesLink.classList.toggle('hidden', invitations.length === 0);
+    }
+
+    return { data: { workspaces, invitations, activeId }, error };
+}
+
+export default {
+    initWorkspaceSwitcher
+};